@@ -1,112 +1,564 @@
 /**
  * Background service worker for DictionaRead extension
- * Handles keyboard shortcuts, text selection, and dictionary API calls
+ * Handles keyboard shortcuts, the context menu, text selection, and dictionary API calls
  */
 
-// Dictionary API configuration
-const DICTIONARY_API_BASE = 'https://api.dictionaryapi.dev/api/v2/entries/en/';
-const API_TIMEOUT = 5000; // 5 seconds timeout
+// Shared storage helpers
+importScripts('settings.js', 'site-rules.js', 'history.js', 'srs.js', 'providers.js', 'idb.js', 'offline-dictionary.js', 'cache.js', 'translation.js', 'morphology.js', 'senses.js', 'panel-stream.js');
+
+// Phrase handling: sub-phrases tried when a whole phrase is unknown
+const MAX_PHRASE_WORDS = 8;
+const MAX_SUBPHRASE_WORDS = 4;
+
+// Context menu entry for looking up the selection
+const CONTEXT_MENU_ID = 'dictionaread-lookup';
+
+// Alarm that refreshes the due-card count on the toolbar badge as cards come due
+const REVIEW_BADGE_ALARM = 'review-badge';
+const REVIEW_BADGE_PERIOD_MINUTES = 15;
+
+// Content script, registered at runtime so the site rules decide where it loads
+// It runs in every frame, so embedded readers get bubbles of their own
+const CONTENT_SCRIPT_ID = 'dictionaread-content';
+const CONTENT_SCRIPT_FILES = [
+  'settings.js', 'site-rules.js', 'history.js', 'selection-context.js', 'theme.js', 'bubble-render.js', 'highlighter.js', 'bubble-anchor.js', 'content.js'
+];
+
+// Settings the shortcut and context menu read without waiting: the side panel only opens
+// in direct response to them, before anything is awaited. Kept current from storage
+const PANEL_OPEN_SETTING_KEYS = ['extensionEnabled', 'siteRuleMode', 'siteRules', 'lookupDisplay'];
+let panelOpenSettings = { ...DEFAULT_SETTINGS };
+
+// Open side panels by window; each keeps a port to the service worker (see sidepanel.js)
+// Results meant for the panel show in the bubble while the window has none
+const PANEL_CONNECT_TIMEOUT_MS = 3000;
+const panelPorts = new Map(); // Window ID → the panel's port
+const panelWaiters = new Map(); // Window ID → callbacks waiting for its panel to connect
+const panelOpenings = new Map(); // Window ID → promise of whether the panel opened and connected
 
 /**
- * Main command handler for the keyboard shortcut
- * Listens for the Cmd+Shift+L / Ctrl+Shift+L command
+ * Main command handler for the keyboard shortcuts
+ * Listens for the Cmd+Shift+L / Ctrl+Shift+L lookup command and the
+ * Cmd+Shift+Y / Ctrl+Shift+Y define/translate switch
  */
-chrome.commands.onCommand.addListener(async (command) => {
+chrome.commands.onCommand.addListener(async (command, activeTab) => {
   console.log('Command received:', command);
   
+  if (command === 'lookup-word' && activeTab) {
+    openPanelForLookup(activeTab);
+  }
+  
+  if (command === 'toggle-mode') {
+    await toggleLookupMode();
+    return;
+  }
+  
   if (command === 'lookup-word') {
     console.log('Lookup command triggered!');
     
-    try {
-      // Check if extension is enabled
-      const result = await chrome.storage.local.get(['extensionEnabled']);
-      const isEnabled = result.extensionEnabled !== false; // Default to true
-      
-      console.log('Extension enabled status:', isEnabled);
-      
-      if (!isEnabled) {
-        console.log('DictionaRead is disabled');
-        return;
-      }
-      
-      // Get the active tab
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      
-      console.log('Active tab:', tab?.url);
-      
-      if (!tab) {
-        console.error('No active tab found');
-        return;
-      }
-      
-      // Inject script to get selected text
-      const selectedText = await getSelectedText(tab.id);
-      
-      console.log('Selected text:', selectedText);
-      
-      if (!selectedText || selectedText.trim().length === 0) {
-        console.log('No text selected');
-        return;
-      }
-      
-      // Validate selection length (prevent API abuse)
-      if (selectedText.length > 50) {
-        console.log('Selection too long, limiting to 50 characters');
-        selectedText = selectedText.substring(0, 50);
-      }
-      
-      // Sanitize the text (remove HTML entities and special characters)
-      const sanitizedText = sanitizeText(selectedText);
-      
-      if (sanitizedText.length < 1) {
-        console.log('No valid text after sanitization');
-        return;
-      }
-      
-      // Show loading state in content script
+    // Get the active tab
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    
+    console.log('Active tab:', tab?.url);
+    
+    if (!tab) {
+      console.error('No active tab found');
+      return;
+    }
+    
+    // Leave pages the site rules exclude alone, without even reading the selection
+    if (!(await isLookupAllowed(tab))) return;
+    
+    // Inject script to get selected text and the sentence around it, from whichever frame holds it
+    const selectionInfo = await getSelectedText(tab.id);
+    
+    // The PDF viewer keeps its selection to itself; the context menu still receives it
+    if (!selectionInfo.text && selectionInfo.isPdf) {
       await sendMessageToContentScript(tab.id, {
-        action: 'showLoading',
-        selectedText: sanitizedText
+        action: 'showNotice',
+        notice: 'DictionaRead: in PDFs, select a word and use "Define" in the right-click menu'
       });
-      
-      // Fetch dictionary definition
-      const definition = await fetchDictionaryDefinition(sanitizedText);
-      
-      // Send result to content script
+      return;
+    }
+    
+    await handleLookupRequest(tab, selectionInfo);
+  }
+});
+
+/**
+ * Context menu handler for the "Define '%s'" entry
+ * Reads the selection in the frame that was right-clicked, and falls back to the menu's
+ * copy of the selection where the page exposes none, as in the PDF viewer
+ */
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (info.menuItemId !== CONTEXT_MENU_ID || !tab) return;
+  openPanelForLookup(tab);
+  if (!(await isLookupAllowed(tab))) return;
+  
+  let selectionInfo = await getSelectedText(tab.id, info.frameId || 0);
+  if (!selectionInfo.text) {
+    selectionInfo = {
+      text: (info.selectionText || '').trim(),
+      sentence: '',
+      paragraph: '',
+      lang: '',
+      frameId: info.frameId || 0
+    };
+  }
+  
+  await handleLookupRequest(tab, selectionInfo);
+});
+
+/**
+ * Opens the side panel for a lookup when results only go there, so the lookup is not lost
+ * Must be called before the trigger's handler awaits anything
+ * @param {chrome.tabs.Tab} tab - The tab the lookup runs in
+ */
+function openPanelForLookup(tab) {
+  const settings = panelOpenSettings;
+  if (settings.lookupDisplay !== 'panel' || !settings.extensionEnabled || !isSiteEnabled(tab.url, settings)) return;
+  
+  const windowId = tab.windowId;
+  const opening = chrome.sidePanel.open({ windowId: windowId })
+    .then(() => waitForPanel(windowId))
+    .catch(error => {
+      console.error('Error opening side panel:', error);
+      return false;
+    });
+  panelOpenings.set(windowId, opening);
+  opening.then(() => {
+    if (panelOpenings.get(windowId) === opening) {
+      panelOpenings.delete(windowId);
+    }
+  });
+}
+
+/**
+ * Waits for a window's side panel to connect
+ * @param {number} windowId - The window ID
+ * @returns {Promise<boolean>} True once it connects, false if it does not in time
+ */
+function waitForPanel(windowId) {
+  if (panelPorts.has(windowId)) return Promise.resolve(true);
+  
+  return new Promise(resolve => {
+    const waiters = panelWaiters.get(windowId) || new Set();
+    const done = connected => {
+      clearTimeout(timer);
+      waiters.delete(done);
+      resolve(connected);
+    };
+    const timer = setTimeout(() => done(false), PANEL_CONNECT_TIMEOUT_MS);
+    waiters.add(done);
+    panelWaiters.set(windowId, waiters);
+  });
+}
+
+/**
+ * Checks whether a window shows the side panel, waiting for one a lookup is opening
+ * @param {number} windowId - The window ID
+ * @returns {Promise<boolean>} True if the panel is open and connected
+ */
+async function isPanelShowing(windowId) {
+  if (panelPorts.has(windowId)) return true;
+  return panelOpenings.has(windowId) ? panelOpenings.get(windowId) : false;
+}
+
+/**
+ * Registers a side panel's port, which tells which window the panel is open in
+ * @param {chrome.runtime.Port} port - The port from sidepanel.js
+ */
+function handlePanelConnect(port) {
+  port.onMessage.addListener(message => {
+    if (message.action !== 'panelOpened') return;
+    const windowId = message.windowId;
+    
+    panelPorts.set(windowId, port);
+    port.onDisconnect.addListener(() => {
+      if (panelPorts.get(windowId) === port) {
+        panelPorts.delete(windowId);
+      }
+    });
+    
+    (panelWaiters.get(windowId) || []).forEach(done => done(true));
+    panelWaiters.delete(windowId);
+  });
+}
+
+/**
+ * Reloads the settings openPanelForLookup reads
+ */
+async function refreshPanelOpenSettings() {
+  panelOpenSettings = { ...panelOpenSettings, ...(await getSettings(PANEL_OPEN_SETTING_KEYS)) };
+}
+
+/**
+ * Checks that the extension is switched on and that the site rules allow the tab's page
+ * @param {chrome.tabs.Tab} tab - The tab
+ * @returns {Promise<boolean>} True if lookups may run in the tab
+ */
+async function isLookupAllowed(tab) {
+  const settings = await getSettings(['extensionEnabled', 'siteRuleMode', 'siteRules']);
+  
+  console.log('Extension enabled status:', settings.extensionEnabled);
+  
+  if (!settings.extensionEnabled) {
+    console.log('DictionaRead is disabled');
+    return false;
+  }
+  
+  if (!isSiteEnabled(tab.url, settings)) {
+    console.log('DictionaRead is off on this site');
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Looks up or translates selected text for any trigger: the keyboard shortcut,
+ * the context menu, a double-click or a modifier+hover in the page
+ * Callers check isLookupAllowed first
+ * @param {chrome.tabs.Tab} tab - The tab the text was selected in
+ * @param {Object} selectionInfo - The text, its sentence, paragraph and language, the frame
+ *   it was selected in and the content script's ID for the text, if it remembered it
+ */
+async function handleLookupRequest(tab, selectionInfo) {
+  // The loading state and result share an ID in the side panel's stream
+  const context = { ...selectionInfo, lookupId: crypto.randomUUID() };
+  
+  try {
+    const settings = await getSettings(['maxLookupLength', 'apiTimeout']);
+    const result = await chrome.storage.local.get(['lookupMode']);
+    
+    const selectedText = selectionInfo.text;
+    
+    console.log('Selected text:', selectedText);
+    
+    if (!selectedText || selectedText.trim().length === 0) {
+      console.log('No text selected');
+      return;
+    }
+    
+    // Translate mode takes whole sentences, so it skips the dictionary length limit
+    if (result.lookupMode === 'translate') {
+      const textToTranslate = selectedText.replace(/\s+/g, ' ').substring(0, MAX_TRANSLATION_LENGTH);
+      const sourceLanguage = await resolveLookupLanguage(tab.url, selectionInfo.lang, 'auto');
+      await translateAndShow(tab, textToTranslate, sourceLanguage, settings.apiTimeout, context);
+      return;
+    }
+    
+    // Validate selection length (prevent API abuse), cutting at a word boundary
+    const maxLength = settings.maxLookupLength;
+    const isTruncated = selectedText.length > maxLength;
+    const lookupText = isTruncated ? truncateAtWord(selectedText, maxLength) : selectedText;
+    if (isTruncated) {
+      console.log(`Selection too long, limiting to ${maxLength} characters`);
+    }
+    
+    // Sanitize the text (remove HTML entities and special characters)
+    const sanitizedText = sanitizeText(lookupText);
+    
+    if (sanitizedText.length < 1) {
+      console.log('No valid text after sanitization');
+      return;
+    }
+    
+    // Pick the dictionary language from the site override or the page markup
+    const language = await resolveLookupLanguage(tab.url, selectionInfo.lang);
+    
+    await lookupAndShow(tab, sanitizedText, context, language, isTruncated);
+    
+  } catch (error) {
+    console.error('Error in lookup handler:', error);
+    
+    // Try to show the error in the bubble or side panel
+    await showLookupResult(tab, {
+      action: 'showError',
+      error: 'Failed to fetch definition. Please try again.'
+    }, context);
+  }
+}
+
+/**
+ * Looks up sanitized text and shows the loading state and result in the tab
+ * Shared by the keyboard shortcut and lookups started from inside the bubble or side panel
+ * @param {chrome.tabs.Tab} tab - The tab to show the result in
+ * @param {string} sanitizedText - The sanitized word or phrase
+ * @param {Object} context - The sentence and paragraph the text came from, if known, the
+ *   frame and anchor to show the bubble at, and the lookup's ID (see showLookupResult)
+ * @param {string} language - The lookup language code, e.g. "en"
+ * @param {boolean} isTruncated - Whether the selection was cut to fit the length limit
+ */
+async function lookupAndShow(tab, sanitizedText, context, language, isTruncated = false) {
+  // Show loading state in the bubble or side panel
+  await showLookupResult(tab, {
+    action: 'showLoading',
+    selectedText: sanitizedText
+  }, context);
+  
+  // Fetch dictionary definition, falling back to lemmas and sub-phrases
+  const lookupResult = await getPhraseDefinition(sanitizedText, language);
+  
+  // Put the sense that fits the surrounding text first
+  const definition = rankDefinitionByContext(lookupResult, `${context.sentence || ''} ${context.paragraph || ''}`.trim());
+  
+  // Send result to the bubble or side panel
+  await showLookupResult(tab, {
+    action: 'showDefinition',
+    selectedText: sanitizedText,
+    definition: isTruncated ? { ...definition, truncated: true } : definition
+  }, context);
+  
+  // Save successful lookups to the vocabulary notebook, one entry per phrase part
+  if (definition.success) {
+    const definitions = definition.segments ? definition.segments.map(segment => segment.definition) : [definition];
+    for (const segmentDefinition of definitions) {
+      await recordLookup(segmentDefinition, tab, context.sentence || '');
+    }
+  }
+}
+
+/**
+ * Translates the selection and shows it in the same bubble as definitions
+ * @param {chrome.tabs.Tab} tab - The tab to show the result in
+ * @param {string} text - The selected text
+ * @param {string} sourceLanguage - The language of the text, or "auto" to let the backend detect it
+ * @param {number} timeout - Timeout in milliseconds
+ * @param {Object} context - The frame and anchor to show the bubble at, and the lookup's ID
+ */
+async function translateAndShow(tab, text, sourceLanguage, timeout, context) {
+  await showLookupResult(tab, {
+    action: 'showLoading',
+    selectedText: text
+  }, context);
+  
+  const settings = await chrome.storage.local.get([
+    'translationTargetLanguage', 'translationBackend', 'translationUrl', 'translationApiKey'
+  ]);
+  const target = settings.translationTargetLanguage
+    || normalizeLanguageCode(chrome.i18n.getUILanguage())
+    || DEFAULT_LOOKUP_LANGUAGE;
+  
+  const translation = await translateText(text, {
+    backend: settings.translationBackend || DEFAULT_TRANSLATION_BACKEND,
+    url: settings.translationUrl || '',
+    apiKey: settings.translationApiKey || '',
+    source: sourceLanguage,
+    target: target,
+    timeout: timeout
+  });
+  
+  await showLookupResult(tab, {
+    action: 'showDefinition',
+    selectedText: text,
+    definition: { ...translation, mode: 'translate' }
+  }, context);
+}
+
+/**
+ * Switches the lookup shortcut between defining and translating the selection
+ */
+async function toggleLookupMode() {
+  try {
+    const result = await chrome.storage.local.get(['lookupMode']);
+    const lookupMode = result.lookupMode === 'translate' ? 'define' : 'translate';
+    await chrome.storage.local.set({ lookupMode: lookupMode });
+    console.log('Lookup mode:', lookupMode);
+    
+    // Confirm the switch on the page the reader is looking at, unless the site rules keep us off it
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const settings = await getSettings(['siteRuleMode', 'siteRules']);
+    if (tab && isSiteEnabled(tab.url, settings)) {
       await sendMessageToContentScript(tab.id, {
-        action: 'showDefinition',
-        selectedText: sanitizedText,
-        definition: definition
+        action: 'showNotice',
+        notice: lookupMode === 'translate' ? 'DictionaRead: translate mode' : 'DictionaRead: define mode'
       });
-      
+    }
+  } catch (error) {
+    console.error('Error switching lookup mode:', error);
+  }
+}
+
+/**
+ * Shows the current lookup mode in the toolbar button's tooltip
+ * @param {string} lookupMode - "define" or "translate"
+ */
+async function updateActionTitle(lookupMode) {
+  await chrome.action.setTitle({
+    title: lookupMode === 'translate'
+      ? 'DictionaRead - Translate mode'
+      : 'DictionaRead - Quick Dictionary Lookup'
+  });
+}
+
+/**
+ * Shows or hides the context menu entry and names it after the lookup mode
+ */
+async function updateContextMenu() {
+  const settings = await getSettings(['triggerContextMenu']);
+  const result = await chrome.storage.local.get(['lookupMode']);
+  await chrome.contextMenus.update(CONTEXT_MENU_ID, {
+    title: result.lookupMode === 'translate' ? "Translate '%s'" : "Define '%s'",
+    visible: settings.triggerContextMenu
+  });
+}
+
+/**
+ * Registers the content script for the pages the site rules allow
+ * Rules that match patterns cannot express fall back to every page, where the
+ * content script checks the rules itself
+ */
+async function updateContentScriptRegistration() {
+  const settings = await getSettings(['siteRuleMode', 'siteRules']);
+  const sitePatterns = getSiteMatchPatterns(settings.siteRules);
+  
+  let matches = ['<all_urls>'];
+  let excludeMatches = [];
+  if (sitePatterns && settings.siteRuleMode === 'allowlist') {
+    matches = sitePatterns;
+  } else if (sitePatterns) {
+    excludeMatches = sitePatterns;
+  }
+  
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+  if (registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+  }
+  
+  // An empty allowlist keeps the content script off every page
+  if (matches.length === 0) return;
+  
+  await chrome.scripting.registerContentScripts([{
+    id: CONTENT_SCRIPT_ID,
+    js: CONTENT_SCRIPT_FILES,
+    matches: matches,
+    excludeMatches: excludeMatches,
+    allFrames: true,
+    runAt: 'document_idle'
+  }]);
+}
+
+/**
+ * Shows the number of flashcards due for review on the toolbar badge
+ */
+async function updateReviewBadge() {
+  const count = await getDueCount();
+  await chrome.action.setBadgeBackgroundColor({ color: '#3498db' });
+  await chrome.action.setBadgeText({ text: count > 99 ? '99+' : count > 0 ? String(count) : '' });
+}
+
+/**
+ * Starts the alarm that keeps the review badge current
+ * Alarms do not always survive a browser restart, so this runs on startup too
+ */
+async function scheduleReviewBadge() {
+  await chrome.alarms.create(REVIEW_BADGE_ALARM, { periodInMinutes: REVIEW_BADGE_PERIOD_MINUTES });
+  await updateReviewBadge();
+}
+
+/**
+ * Looks up a word clicked inside the bubble, such as a synonym chip or a word of a definition
+ * @param {chrome.tabs.Tab} tab - The tab the bubble is shown in
+ * @param {string} word - The word to look up
+ * @param {string} language - The language of the entry the word came from
+ * @param {number} frameId - The frame the bubble is shown in
+ * @param {number} anchorId - The content script's ID for what the bubble points at
+ */
+async function lookupFromBubble(tab, word, language, frameId = 0, anchorId = 0) {
+  const sanitizedText = sanitizeText(String(word || ''));
+  if (sanitizedText.length < 1) return;
+  
+  const context = { frameId: frameId, anchorId: anchorId, lookupId: crypto.randomUUID() };
+  try {
+    await lookupAndShow(tab, sanitizedText, context, normalizeLanguageCode(language) || DEFAULT_LOOKUP_LANGUAGE);
+  } catch (error) {
+    console.error('Error looking up word from bubble:', error);
+    await showLookupResult(tab, {
+      action: 'showError',
+      error: 'Failed to fetch definition. Please try again.'
+    }, context);
+  }
+}
+
+/**
+ * Looks up a word clicked in the side panel, such as a synonym chip, into the tab's stream only
+ * @param {number} tabId - The tab whose stream the panel shows
+ * @param {string} word - The word to look up
+ * @param {string} language - The language of the entry the word came from
+ */
+async function lookupFromPanel(tabId, word, language) {
+  const sanitizedText = sanitizeText(String(word || ''));
+  if (sanitizedText.length < 1) return;
+  
+  const context = { panelOnly: true, lookupId: crypto.randomUUID() };
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    await lookupAndShow(tab, sanitizedText, context, normalizeLanguageCode(language) || DEFAULT_LOOKUP_LANGUAGE);
+  } catch (error) {
+    console.error('Error looking up word from side panel:', error);
+    await savePanelLookup(tabId, {
+      id: context.lookupId,
+      text: sanitizedText,
+      status: 'done',
+      definition: { success: false, error: 'Failed to fetch definition. Please try again.' }
+    }).catch(saveError => console.error('Error saving side panel lookup:', saveError));
+  }
+}
+
+/**
+ * Shows a lookup's loading state or result where the lookupDisplay setting sends it: the
+ * bubble in the page, the tab's stream in the side panel, or both. Results for the panel
+ * alone also show in the bubble while the tab's window has no panel open, as when a
+ * double-click or hover lookup could not open it
+ * @param {chrome.tabs.Tab} tab - The tab the lookup belongs to
+ * @param {Object} message - The showLoading, showDefinition or showError message
+ * @param {Object} context - The frame and anchor to show the bubble at, the lookup's ID in
+ *   the stream and, for lookups started in the side panel, panelOnly to keep them there
+ */
+async function showLookupResult(tab, message, context) {
+  const { lookupDisplay } = await getSettings(['lookupDisplay']);
+  const toPanel = lookupDisplay !== 'bubble' || context.panelOnly;
+  const toBubble = !context.panelOnly && (lookupDisplay !== 'panel' || !(await isPanelShowing(tab.windowId)));
+  
+  if (toBubble) {
+    await sendMessageToContentScript(tab.id, { ...message, anchorId: context.anchorId }, context.frameId);
+  }
+  
+  if (toPanel) {
+    const lookup = {
+      id: context.lookupId,
+      status: message.action === 'showLoading' ? 'loading' : 'done',
+      url: tab.url || '',
+      title: tab.title || '',
+      sentence: context.sentence || ''
+    };
+    if (message.selectedText) {
+      lookup.text = message.selectedText;
+    }
+    if (message.action !== 'showLoading') {
+      lookup.definition = message.definition || { success: false, error: message.error };
+    }
+    
+    // A full session store must not keep the bubble from showing the result
+    try {
+      await savePanelLookup(tab.id, lookup);
     } catch (error) {
-      console.error('Error in command handler:', error);
-      
-      // Try to send error to content script
-      try {
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (tab) {
-          await sendMessageToContentScript(tab.id, {
-            action: 'showError',
-            error: 'Failed to fetch definition. Please try again.'
-          });
-        }
-      } catch (sendError) {
-        console.error('Error sending error message to content script:', sendError);
-      }
+      console.error('Error saving side panel lookup:', error);
     }
   }
-});
+}
 
 /**
  * Safely sends a message to a content script with proper error handling
  * @param {number} tabId - The ID of the tab to send the message to
  * @param {Object} message - The message to send
+ * @param {number} frameId - The frame to send it to; the top frame by default
  * @returns {Promise<boolean>} True if message was sent successfully
  */
-async function sendMessageToContentScript(tabId, message) {
+async function sendMessageToContentScript(tabId, message, frameId = 0) {
   try {
-    await chrome.tabs.sendMessage(tabId, message);
+    await chrome.tabs.sendMessage(tabId, message, { frameId: frameId });
     return true;
   } catch (error) {
     // If content script is not ready, inject it first
@@ -116,15 +568,15 @@ async function sendMessageToContentScript(tabId, message) {
       try {
         // Inject the content script
         await chrome.scripting.executeScript({
-          target: { tabId: tabId },
-          files: ['content.js']
+          target: { tabId: tabId, frameIds: [frameId] },
+          files: CONTENT_SCRIPT_FILES
         });
         
         // Wait a moment for the script to initialize
         await new Promise(resolve => setTimeout(resolve, 100));
         
         // Try sending the message again
-        await chrome.tabs.sendMessage(tabId, message);
+        await chrome.tabs.sendMessage(tabId, message, { frameId: frameId });
         return true;
       } catch (retryError) {
         console.error('Failed to inject content script or send message:', retryError);
@@ -138,101 +590,484 @@ async function sendMessageToContentScript(tabId, message) {
 }
 
 /**
- * Injects a script into the active tab to get the currently selected text
+ * Saves a successful lookup to the history without interrupting the lookup flow
+ * @param {Object} definition - The successful definition result
+ * @param {chrome.tabs.Tab} tab - The tab the word was looked up in
+ * @param {string} sentence - The sentence the word came from
+ */
+async function recordLookup(definition, tab, sentence) {
+  try {
+    await saveLookup({
+      word: definition.data.word || definition.word,
+      definition: definition.data,
+      language: definition.language,
+      url: tab.url,
+      title: tab.title,
+      sentence: sentence
+    });
+  } catch (error) {
+    console.error('Error saving lookup to history:', error);
+  }
+}
+
+/**
+ * Injects a script into the tab's frames to get the currently selected text
+ * Embedded readers keep their selection in their own frame, so every frame is asked
+ * unless the frame is known, and the one holding a selection is used
  * @param {number} tabId - The ID of the tab to inject the script into
- * @returns {Promise<string>} The selected text
+ * @param {number|null} frameId - The frame to read, or null for every frame
+ * @returns {Promise<Object>} The selected text, the sentence and paragraph containing it, its
+ *   language, the ID of the frame it is in and the content script's ID for the text
  */
-async function getSelectedText(tabId) {
+async function getSelectedText(tabId, frameId = null) {
+  const empty = { text: '', sentence: '', paragraph: '', lang: '', frameId: frameId || 0 };
+  const target = frameId === null ? { tabId: tabId, allFrames: true } : { tabId: tabId, frameIds: [frameId] };
+  
   try {
+    // The helpers are already there when the content script is; injecting them again is harmless
+    await chrome.scripting.executeScript({
+      target: target,
+      files: ['selection-context.js']
+    });
     const results = await chrome.scripting.executeScript({
-      target: { tabId: tabId },
-      func: () => {
-        // Get the current selection
-        const selection = window.getSelection();
-        return selection.toString().trim();
-      }
+      target: target,
+      func: () => getSelectionContext()
     });
     
-    return results[0]?.result || '';
+    // Prefer the focused frame when text is selected in several
+    const withText = results.filter(item => item.result?.text);
+    const chosen = withText.find(item => item.result.hasFocus)
+      || withText[0]
+      || results.find(item => item.frameId === 0)
+      || results[0];
+    
+    return chosen?.result ? { ...chosen.result, frameId: chosen.frameId } : empty;
   } catch (error) {
     console.error('Error getting selected text:', error);
-    return '';
+    return empty;
   }
 }
 
+/**
+ * Chooses the lookup language: the user's override for the site, else the page's lang markup
+ * @param {string} url - The URL of the page
+ * @param {string} pageLanguage - The lang attribute nearest to the selection
+ * @param {string} fallback - The language to use when neither is set
+ * @returns {Promise<string>} The language code, e.g. "en"
+ */
+async function resolveLookupLanguage(url, pageLanguage, fallback = DEFAULT_LOOKUP_LANGUAGE) {
+  try {
+    const result = await chrome.storage.local.get(['siteLanguages']);
+    const hostname = new URL(url).hostname;
+    const override = result.siteLanguages?.[hostname];
+    if (override) return override;
+  } catch (error) {
+    console.error('Error reading site language override:', error);
+  }
+  
+  return normalizeLanguageCode(pageLanguage) || fallback;
+}
+
+/**
+ * Shortens text to a maximum length without cutting a word in half
+ * @param {string} text - The text to shorten
+ * @param {number} maxLength - The maximum length
+ * @returns {string} The shortened text
+ */
+function truncateAtWord(text, maxLength) {
+  const truncated = text.substring(0, maxLength);
+  
+  // Drop the partial last word, unless the text is one long word
+  if (/\S/.test(text.charAt(maxLength))) {
+    const lastSpace = truncated.search(/\s\S*$/);
+    if (lastSpace > 0) return truncated.substring(0, lastSpace);
+  }
+  return truncated;
+}
+
 /**
  * Sanitizes text by removing HTML entities and special characters
+ * Letters and digits of every script survive, so "café" and "Straße" stay intact
  * @param {string} text - The text to sanitize
  * @returns {string} The sanitized text
  */
 function sanitizeText(text) {
   return text
+    .normalize('NFC') // Compose accents so "é" is one letter
     .replace(/&[a-zA-Z0-9#]+;/g, '') // Remove HTML entities
-    .replace(/[^\w\s'-]/g, '') // Keep only word characters, spaces, hyphens, and apostrophes
+    .replace(/[\u2018\u2019\u02BC]/g, "'") // Typographic apostrophes
+    .replace(/[\u2010\u2011]/g, '-') // Unicode hyphens
+    .replace(/[^\p{L}\p{M}\p{N}\s'-]/gu, '') // Keep only letters, marks, digits, spaces, hyphens, and apostrophes
     .replace(/\s+/g, ' ') // Normalize whitespace
     .trim();
 }
 
 /**
- * Fetches dictionary definition from the API with timeout handling
+ * Looks up a word or phrase; an unknown phrase is split, from the left, into its longest known
+ * sub-phrases, and the remaining content words are looked up one by one
+ * "beg the question" is found whole, "to beg the question today" as "beg the question" + "today"
+ * @param {string} text - The sanitized word or phrase
+ * @param {string} language - The lookup language code
+ * @returns {Promise<Object>} The definition result; segmented results carry a "segments" list
+ */
+async function getPhraseDefinition(text, language) {
+  const definition = await getDefinitionWithLemmas(text, language);
+  const words = text.split(' ').slice(0, MAX_PHRASE_WORDS);
+  
+  if (definition.success || definition.error !== 'No definition found' || words.length < 2) {
+    return definition;
+  }
+  
+  // Scan from the left; the longest known phrase starting at a word wins and the scan
+  // goes on after it, so words it covers are never looked up
+  const segments = [];
+  let index = 0;
+  while (index < words.length) {
+    const subPhrase = await findLongestSubPhrase(words, index, language);
+    
+    if (subPhrase) {
+      segments.push({ text: subPhrase.text, definition: subPhrase.definition });
+      index += subPhrase.length;
+    } else {
+      // Content words outside any known phrase
+      if (!isFunctionWord(words[index])) {
+        segments.push({ text: words[index], definition: await getDefinitionWithLemmas(words[index], language) });
+      }
+      index++;
+    }
+  }
+  
+  const found = segments.filter(segment => segment.definition.success);
+  if (found.length === 0) {
+    return definition;
+  }
+  
+  const sources = [...new Set(found.map(segment => segment.definition.source?.id))];
+  return {
+    success: true,
+    data: found[0].definition.data,
+    entries: found.flatMap(segment => segment.definition.entries || [segment.definition.data]),
+    segments: found,
+    missing: segments.filter(segment => !segment.definition.success).map(segment => segment.text),
+    word: text,
+    source: sources.length === 1 ? found[0].definition.source : undefined,
+    language: language
+  };
+}
+
+/**
+ * Finds the longest known sub-phrase starting at a word, trying one length at a time,
+ * longest first; the whole text and spans of function words only are skipped
+ * @param {Array<string>} words - The words of the phrase
+ * @param {number} start - The index of the first word
+ * @param {string} language - The lookup language code
+ * @returns {Promise<Object|null>} The sub-phrase's text, word count and definition result, or null
+ */
+async function findLongestSubPhrase(words, start, language) {
+  for (let length = Math.min(MAX_SUBPHRASE_WORDS, words.length - start); length >= 2; length--) {
+    const phraseWords = words.slice(start, start + length);
+    if (length === words.length || phraseWords.every(isFunctionWord)) continue;
+    
+    const text = phraseWords.join(' ');
+    const definition = await getDefinition(text, language);
+    if (definition.success) {
+      return { text: text, length: length, definition: definition };
+    }
+  }
+  return null;
+}
+
+/**
+ * Looks up a word, then its candidate lemmas when the word itself is not in the dictionary
+ * "running" → "run", "geese" → "goose", "wasn't" → "was"
+ * @param {string} word - The sanitized word or phrase
+ * @param {string} language - The lookup language code
+ * @returns {Promise<Object>} The definition result, with an "inflection" note when a lemma answered
+ */
+async function getDefinitionWithLemmas(word, language) {
+  const definition = await getDefinition(word, language);
+  if (definition.success || definition.error !== 'No definition found') {
+    return definition;
+  }
+  
+  for (const candidate of getLemmaCandidates(word, language)) {
+    const lemmaDefinition = await getDefinition(candidate.lemma, language);
+    
+    if (lemmaDefinition.success) {
+      console.log(`Found lemma: ${word} → ${candidate.lemma} (${candidate.inflection})`);
+      return {
+        ...lemmaDefinition,
+        inflection: { form: word, lemma: candidate.lemma, inflection: candidate.inflection }
+      };
+    }
+    
+    // Stop on network errors rather than timing out once per candidate
+    if (lemmaDefinition.error !== 'No definition found') {
+      return lemmaDefinition;
+    }
+  }
+  
+  return definition;
+}
+
+/**
+ * Returns a definition from the cache, fetching and caching it on a miss
+ * Cache failures never block a lookup
  * @param {string} word - The word or phrase to look up
+ * @param {string} language - The lookup language code
  * @returns {Promise<Object>} The definition result or error object
  */
-async function fetchDictionaryDefinition(word) {
+async function getDefinition(word, language) {
   try {
-    // Create a timeout promise
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('API timeout')), API_TIMEOUT);
-    });
+    const cached = await getCachedDefinition(word, language);
+    if (cached) return cached;
+  } catch (error) {
+    console.error('Error reading definition cache:', error);
+  }
+  
+  const definition = { ...(await fetchDictionaryDefinition(word, language)), language: language };
+  
+  try {
+    await setCachedDefinition(word, language, definition);
+  } catch (error) {
+    console.error('Error writing definition cache:', error);
+  }
+  
+  return definition;
+}
+
+/**
+ * Fetches dictionary definition through the user's provider fallback chain
+ * The offline dictionary (English only) answers first in offline-first mode, or when the network fails
+ * @param {string} word - The word or phrase to look up
+ * @param {string} language - The lookup language code
+ * @returns {Promise<Object>} The definition result or error object
+ */
+async function fetchDictionaryDefinition(word, language) {
+  try {
+    const settings = await chrome.storage.local.get(['providerChain', 'customProviderUrl', 'offlineMode']);
+    const { apiTimeout } = await getSettings(['apiTimeout']);
+    const offlineMode = language === 'en' ? settings.offlineMode || 'fallback' : 'off';
+    const chain = Array.isArray(settings.providerChain) && settings.providerChain.length > 0
+      ? settings.providerChain
+      : DEFAULT_PROVIDER_CHAIN;
     
-    // Create the API request promise
-    const apiPromise = fetch(`${DICTIONARY_API_BASE}${encodeURIComponent(word)}`)
-      .then(response => {
-        if (!response.ok) {
-          throw new Error(`API returned ${response.status}: ${response.statusText}`);
-        }
-        return response.json();
-      });
+    if (offlineMode === 'offline-first') {
+      const offlineResult = await fetchOfflineDefinition(word);
+      if (offlineResult.success) return offlineResult;
+    }
     
-    // Race between API call and timeout
-    const result = await Promise.race([apiPromise, timeoutPromise]);
+    const result = await lookupWithProviders(word, {
+      chain: chain,
+      language: language,
+      timeout: apiTimeout,
+      customUrl: settings.customProviderUrl || ''
+    });
     
-    // Process the API response
-    if (Array.isArray(result) && result.length > 0) {
-      return {
-        success: true,
-        data: result[0], // Take the first result
-        word: word
-      };
-    } else {
-      return {
-        success: false,
-        error: 'No definition found',
-        word: word
-      };
+    // Only network failures fall back; a word every source lacks stays "not found"
+    if (!result.success && offlineMode === 'fallback' && result.error !== 'No definition found') {
+      const offlineResult = await fetchOfflineDefinition(word);
+      if (offlineResult.success) return offlineResult;
     }
     
+    return result;
+    
   } catch (error) {
     console.error('Error fetching dictionary definition:', error);
     
     return {
       success: false,
-      error: error.message === 'API timeout' ? 'Request timed out' : 'Failed to fetch definition',
+      error: 'Failed to fetch definition',
       word: word
     };
   }
 }
 
+/**
+ * Message listener for requests from the popup control panel, side panel and content scripts
+ * Handles cache statistics, clearing, in-bubble, in-page and side panel lookups, the side
+ * panel's stream and speech synthesis
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  switch (message.action) {
+    case 'getCacheStats':
+      getCacheStats()
+        .then(stats => sendResponse({ success: true, stats: stats }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true; // Respond asynchronously
+    case 'clearCache':
+      clearDefinitionCache()
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    case 'lookupWord':
+      if (sender.tab) {
+        lookupFromBubble(sender.tab, message.word, message.language, sender.frameId, Number(message.anchorId) || 0);
+      }
+      sendResponse({ success: true });
+      return false;
+    case 'lookupInPanel':
+      // Words clicked in the side panel, which has no tab of its own
+      if (!sender.tab && Number.isInteger(message.tabId)) {
+        lookupFromPanel(message.tabId, message.word, message.language);
+      }
+      sendResponse({ success: true });
+      return false;
+    case 'pinPanelLookup':
+    case 'clearPanelStream': {
+      // Only the side panel changes the stream; pages never see it
+      if (sender.tab || !Number.isInteger(message.tabId)) {
+        sendResponse({ success: false, error: 'Not allowed' });
+        return false;
+      }
+      const change = message.action === 'pinPanelLookup'
+        ? setPanelLookupPinned(message.tabId, String(message.id), Boolean(message.pinned))
+        : clearPanelStream(message.tabId);
+      change
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    }
+    case 'lookupSelection':
+      // Double-click and modifier+hover lookups found by the content script
+      if (sender.tab && message.selection) {
+        const selectionInfo = {
+          text: String(message.selection.text || ''),
+          sentence: String(message.selection.sentence || ''),
+          paragraph: String(message.selection.paragraph || ''),
+          lang: String(message.selection.lang || ''),
+          frameId: sender.frameId || 0,
+          anchorId: Number(message.selection.anchorId) || 0
+        };
+        isLookupAllowed(sender.tab)
+          .then(isAllowed => isAllowed && handleLookupRequest(sender.tab, selectionInfo))
+          .catch(error => console.error('Error handling in-page lookup:', error));
+      }
+      sendResponse({ success: true });
+      return false;
+    case 'speak':
+      // Pronunciation fallback when no audio recording exists or it fails to play
+      chrome.tts.stop();
+      chrome.tts.speak(String(message.text || ''), { lang: message.lang || 'en-US', rate: 0.9 });
+      sendResponse({ success: true });
+      return false;
+    default:
+      return false;
+  }
+});
+
 /**
  * Handles extension installation/update
- * Sets default extension state to enabled
+ * Migrates stored settings to the current schema, registers the content script
+ * and creates the context menu entry
  */
 chrome.runtime.onInstalled.addListener(async () => {
   try {
-    // Set default extension state
-    await chrome.storage.local.set({ extensionEnabled: true });
+    // Fill in defaults without overwriting the user's choices
+    await migrateSettings();
     console.log('DictionaRead extension installed/updated');
   } catch (error) {
-    console.error('Error setting default extension state:', error);
+    console.error('Error migrating settings:', error);
+  }
+  
+  try {
+    await updateContentScriptRegistration();
+  } catch (error) {
+    console.error('Error registering content script:', error);
+  }
+  
+  try {
+    await scheduleReviewBadge();
+  } catch (error) {
+    console.error('Error scheduling review badge:', error);
+  }
+  
+  // Import a new or updated offline dictionary now rather than on the first offline lookup
+  ensureOfflineDictionaryLoaded()
+    .catch(error => console.error('Error loading offline dictionary:', error));
+  
+  try {
+    // Menus survive updates, so start from a clean slate
+    await chrome.contextMenus.removeAll();
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_ID,
+      title: "Define '%s'",
+      contexts: ['selection']
+    });
+    await updateContextMenu();
+  } catch (error) {
+    console.error('Error creating context menu:', error);
+  }
+});
+
+/**
+ * Restores the toolbar tooltip for the saved lookup mode and the review badge when the browser
+ * starts, and finishes an interrupted offline dictionary import
+ */
+chrome.runtime.onStartup.addListener(async () => {
+  try {
+    const result = await chrome.storage.local.get(['lookupMode']);
+    await updateActionTitle(result.lookupMode || 'define');
+  } catch (error) {
+    console.error('Error restoring lookup mode title:', error);
+  }
+  
+  try {
+    await scheduleReviewBadge();
+  } catch (error) {
+    console.error('Error scheduling review badge:', error);
+  }
+  
+  // Finish an offline dictionary import the last session did not complete
+  ensureOfflineDictionaryLoaded()
+    .catch(error => console.error('Error loading offline dictionary:', error));
+});
+
+// Cards come due with time, not only when words are looked up or reviewed
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === REVIEW_BADGE_ALARM) {
+    updateReviewBadge().catch(error => console.error('Error updating review badge:', error));
   }
 });
+
+// Open side panels report which window they are in
+chrome.runtime.onConnect.addListener(port => {
+  if (port.name === PANEL_PORT_NAME) {
+    handlePanelConnect(port);
+  }
+});
+
+// A closed tab's side panel stream is no longer reachable
+chrome.tabs.onRemoved.addListener(tabId => {
+  removePanelStream(tabId).catch(error => console.error('Error removing side panel stream:', error));
+});
+
+// Keep the tooltip, context menu, content script and side panel opening in sync when settings change
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  
+  if (PANEL_OPEN_SETTING_KEYS.some(key => changes[key])) {
+    refreshPanelOpenSettings()
+      .catch(error => console.error('Error loading side panel settings:', error));
+  }
+  
+  if (changes.lookupMode) {
+    updateActionTitle(changes.lookupMode.newValue || 'define')
+      .catch(error => console.error('Error updating lookup mode title:', error));
+  }
+  if (changes.lookupMode || changes.triggerContextMenu) {
+    updateContextMenu()
+      .catch(error => console.error('Error updating context menu:', error));
+  }
+  if (changes[HISTORY_STORAGE_KEY] || changes[REVIEW_STORAGE_KEY]) {
+    updateReviewBadge()
+      .catch(error => console.error('Error updating review badge:', error));
+  }
+  if (changes.siteRuleMode || changes.siteRules) {
+    updateContentScriptRegistration()
+      .catch(error => console.error('Error registering content script:', error));
+  }
+});
+
+// Load the settings that decide whether lookups open the side panel each time the worker starts
+refreshPanelOpenSettings().catch(error => console.error('Error loading side panel settings:', error));
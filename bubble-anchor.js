@@ -0,0 +1,341 @@
+/**
+ * Bubble anchoring for DictionaRead extension
+ * Places the bubble next to the text it explains and keeps it there. The bubble's host is
+ * fixed to the viewport, and the bubble is placed again, at most once per frame, when the
+ * page or any scrolling container scrolls, the window resizes, the page reflows or the
+ * bubble's own content changes size. It flips to the other side of the text and shifts
+ * along it to stay clear of the viewport edges and fixed headers, and its arrow keeps
+ * pointing at the text. In vertical writing the bubble sits beside the column instead
+ * Part of the content script; content.js decides what the bubble points at
+ */
+
+const BUBBLE_GAP = 10; // Between the text and the bubble, room for the arrow
+const VIEWPORT_MARGIN = 10; // Kept free along the viewport edges
+const ARROW_SIZE = 12;
+const ARROW_EDGE_MARGIN = 12; // Keeps the arrow off the bubble's rounded corners
+
+// Position classes by side; above and below also pick the opening animation
+const BUBBLE_SIDE_CLASSES = { top: 'above', bottom: 'below', left: 'left', right: 'right' };
+
+// Fixed or sticky elements at the top taller than this share of the viewport are not headers
+const MAX_HEADER_SHARE = 0.3;
+
+// What the bubble follows: { popup, anchor, onLost, frame, resizeObserver, mutationObserver }
+let anchorWatch = null;
+
+/**
+ * Places the bubble at its anchor and keeps it there until stopFollowingAnchor
+ * Calling it again for the same bubble and anchor places the bubble again, e.g. after its
+ * content changed
+ * @param {HTMLElement} popup - The popup element, with its host already in the page
+ * @param {Range|Element|null} anchor - The looked-up text, the text field holding it, or
+ *   null to center the bubble in the viewport
+ * @param {Function} onLost - Called when the text leaves the page, e.g. when a single-page
+ *   app replaces the article; a pinned bubble stays where it is instead
+ */
+function followAnchor(popup, anchor, onLost) {
+  if (anchorWatch?.popup !== popup || anchorWatch.anchor !== anchor) {
+    stopFollowingAnchor();
+    anchorWatch = { popup: popup, anchor: anchor, onLost: onLost, frame: 0 };
+    
+    document.addEventListener('scroll', scheduleAnchorUpdate, { capture: true, passive: true });
+    window.addEventListener('resize', scheduleAnchorUpdate, { passive: true });
+    
+    // The bubble's content, the page's height (text added or removed above the anchor) and
+    // the element holding the text all move or resize the bubble
+    anchorWatch.resizeObserver = new ResizeObserver(scheduleAnchorUpdate);
+    anchorWatch.resizeObserver.observe(popup);
+    anchorWatch.resizeObserver.observe(document.documentElement);
+    const anchorElement = getAnchorElement(anchor);
+    if (anchorElement) {
+      anchorWatch.resizeObserver.observe(anchorElement);
+    }
+    
+    // Replaced content does not always change any size, but may take the anchor with it
+    if (anchor) {
+      anchorWatch.mutationObserver = new MutationObserver(scheduleAnchorUpdate);
+      anchorWatch.mutationObserver.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+    }
+  }
+  
+  updateAnchoredBubble();
+}
+
+/**
+ * Stops following the anchor; the bubble stays where it was last placed
+ */
+function stopFollowingAnchor() {
+  if (!anchorWatch) return;
+  
+  document.removeEventListener('scroll', scheduleAnchorUpdate, { capture: true });
+  window.removeEventListener('resize', scheduleAnchorUpdate);
+  anchorWatch.resizeObserver.disconnect();
+  anchorWatch.mutationObserver?.disconnect();
+  cancelAnimationFrame(anchorWatch.frame);
+  anchorWatch = null;
+}
+
+/**
+ * Places the bubble again in the next frame, once however many events arrive before it
+ */
+function scheduleAnchorUpdate() {
+  if (anchorWatch && !anchorWatch.frame) {
+    anchorWatch.frame = requestAnimationFrame(updateAnchoredBubble);
+  }
+}
+
+/**
+ * Places the followed bubble, hides it while its text is scrolled out of view and lets
+ * content.js know when the text is gone
+ */
+function updateAnchoredBubble() {
+  if (!anchorWatch) return;
+  
+  const { popup, anchor, onLost } = anchorWatch;
+  anchorWatch.frame = 0;
+  if (!popup._host.isConnected) {
+    stopFollowingAnchor();
+    return;
+  }
+  
+  if (anchor && isAnchorLost(anchor)) {
+    stopFollowingAnchor();
+    getBubbleArrow(popup).hidden = true;
+    if (!popup._pinned) {
+      onLost();
+    }
+    return;
+  }
+  
+  placeBubble(popup, anchor);
+}
+
+/**
+ * Checks whether the anchor is gone: removed from the page, emptied or no longer rendered
+ * @param {Range|Element} anchor - The looked-up text or the text field holding it
+ * @returns {boolean} True if the bubble has nothing left to point at
+ */
+function isAnchorLost(anchor) {
+  if (anchor instanceof Range) {
+    if (anchor.collapsed || !anchor.startContainer.isConnected || !anchor.endContainer.isConnected) return true;
+  } else if (!anchor.isConnected) {
+    return true;
+  }
+  return getAnchorRects(anchor).length === 0;
+}
+
+/**
+ * Gets the element holding the anchor, whose styles and scrolling containers apply to it
+ * @param {Range|Element|null} anchor - The anchor
+ * @returns {Element|null} The element
+ */
+function getAnchorElement(anchor) {
+  if (!(anchor instanceof Range)) return anchor;
+  
+  const container = anchor.commonAncestorContainer;
+  return container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+}
+
+/**
+ * Lists the boxes of the anchor in the viewport: one per line of text for a range
+ * @param {Range|Element} anchor - The anchor
+ * @returns {Array<DOMRect>} The boxes in reading order, none if it is not rendered
+ */
+function getAnchorRects(anchor) {
+  if (!(anchor instanceof Range)) {
+    const rect = anchor.getBoundingClientRect();
+    return rect.width > 0 || rect.height > 0 ? [rect] : [];
+  }
+  return Array.from(anchor.getClientRects()).filter(rect => rect.width > 0 && rect.height > 0);
+}
+
+/**
+ * Picks the sides the bubble may take: above or below horizontal text, beside vertical
+ * text. The first one, where the text already read is, is preferred
+ * @param {Element|null} element - The element holding the anchor
+ * @returns {Array<string>} Two of "top", "bottom", "left" and "right"
+ */
+function getAnchorSides(element) {
+  const writingMode = element ? getComputedStyle(element).writingMode : 'horizontal-tb';
+  if (writingMode.endsWith('-rl')) return ['right', 'left'];
+  if (writingMode.endsWith('-lr')) return ['left', 'right'];
+  return ['top', 'bottom'];
+}
+
+/**
+ * Gets the part of the viewport the bubble may use: without the scrollbar, which is on the
+ * left on right-to-left pages, and below fixed or sticky headers
+ * @param {HTMLElement} popup - The popup element, which is never taken for a header
+ * @returns {{top: number, right: number, bottom: number, left: number}} The area
+ */
+function getViewportArea(popup) {
+  const root = document.documentElement;
+  const scrollbarWidth = window.innerWidth - root.clientWidth;
+  const left = getComputedStyle(root).direction === 'rtl' ? scrollbarWidth : 0;
+  
+  return {
+    top: getFixedHeaderBottom(popup),
+    right: left + root.clientWidth,
+    bottom: root.clientHeight,
+    left: left
+  };
+}
+
+/**
+ * Finds the bottom of fixed or sticky elements along the top of the viewport, e.g. a
+ * site's navigation bar
+ * @param {HTMLElement} popup - The popup element
+ * @returns {number} The header's bottom edge, or 0 without a header
+ */
+function getFixedHeaderBottom(popup) {
+  const maxBottom = document.documentElement.clientHeight * MAX_HEADER_SHARE;
+  let bottom = 0;
+  
+  document.elementsFromPoint(document.documentElement.clientWidth / 2, 1).forEach(element => {
+    if (element === popup._host || !['fixed', 'sticky'].includes(getComputedStyle(element).position)) return;
+    
+    const rect = element.getBoundingClientRect();
+    if (rect.top <= 1 && rect.bottom <= maxBottom) {
+      bottom = Math.max(bottom, rect.bottom);
+    }
+  });
+  return bottom;
+}
+
+/**
+ * Intersects an area with the scrolling containers around an element, leaving the part
+ * in which the element's content can be seen
+ * @param {Object} area - The area, e.g. the viewport's
+ * @param {Element|null} element - The element holding the anchor
+ * @returns {Object} The visible area, possibly empty (right < left or bottom < top)
+ */
+function clipToScrollContainers(area, element) {
+  const visible = { ...area };
+  let ancestor = element?.parentElement || element?.getRootNode().host || null;
+  
+  while (ancestor && ancestor !== document.body && ancestor !== document.documentElement) {
+    const style = getComputedStyle(ancestor);
+    if (style.overflowX !== 'visible' || style.overflowY !== 'visible') {
+      const rect = ancestor.getBoundingClientRect();
+      visible.top = Math.max(visible.top, rect.top);
+      visible.right = Math.min(visible.right, rect.right);
+      visible.bottom = Math.min(visible.bottom, rect.bottom);
+      visible.left = Math.max(visible.left, rect.left);
+    }
+    ancestor = ancestor.parentElement || ancestor.getRootNode().host || null;
+  }
+  return visible;
+}
+
+/**
+ * Gets the bubble's arrow, adding it again when the bubble's content was replaced
+ * It comes first, so the content paints over the half inside the bubble
+ * @param {HTMLElement} popup - The popup element
+ * @returns {HTMLElement} The arrow
+ */
+function getBubbleArrow(popup) {
+  let arrow = popup.querySelector(':scope > .dictionaread-arrow');
+  if (!arrow) {
+    arrow = createBubbleElement('div', { className: 'dictionaread-arrow', attributes: { 'aria-hidden': 'true' } });
+    popup.prepend(arrow);
+  }
+  return arrow;
+}
+
+/**
+ * Places the bubble at its anchor once
+ * The bubble takes the preferred side of the text if it fits there, else the other side if
+ * that fits, else the side with more room, shifted into the viewport. Across the text it is
+ * centered on the line the arrow points at and shifted to stay in the viewport. While the
+ * text is scrolled out of view the bubble is hidden, or kept at the edge when pinned
+ * @param {HTMLElement} popup - The popup element
+ * @param {Range|Element|null} anchor - The anchor, or null to center the bubble
+ */
+function placeBubble(popup, anchor) {
+  const arrow = getBubbleArrow(popup);
+  
+  // Measured at the host's origin, which a transformed or zoomed root element moves
+  popup.style.left = '0px';
+  popup.style.top = '0px';
+  const origin = popup._host.getBoundingClientRect();
+  const { width, height } = popup.getBoundingClientRect();
+  
+  const area = getViewportArea(popup);
+  const inner = {
+    top: area.top + VIEWPORT_MARGIN,
+    right: area.right - VIEWPORT_MARGIN,
+    bottom: area.bottom - VIEWPORT_MARGIN,
+    left: area.left + VIEWPORT_MARGIN
+  };
+  
+  // Bubbles larger than the viewport keep their top left corner in it
+  const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
+  const setPlacement = (side, x, y) => {
+    popup.style.left = `${x - origin.left}px`;
+    popup.style.top = `${y - origin.top}px`;
+    ['top', 'bottom', 'left', 'right'].forEach(name => {
+      popup.classList.toggle(`dictionaread-positioned-${BUBBLE_SIDE_CLASSES[name]}`, name === side);
+    });
+  };
+  
+  // Nothing to point at, e.g. in the PDF viewer: center the bubble
+  if (!anchor) {
+    arrow.hidden = true;
+    setPlacement(null, Math.max(inner.left, (area.left + area.right - width) / 2), Math.max(inner.top, (area.top + area.bottom - height) / 2));
+    return;
+  }
+  
+  const element = getAnchorElement(anchor);
+  const rects = getAnchorRects(anchor);
+  const bounds = {
+    top: Math.min(...rects.map(rect => rect.top)),
+    right: Math.max(...rects.map(rect => rect.right)),
+    bottom: Math.max(...rects.map(rect => rect.bottom)),
+    left: Math.min(...rects.map(rect => rect.left))
+  };
+  
+  // Scrolled out of its container or the viewport, or under a fixed header
+  const visible = clipToScrollContainers(area, element);
+  const isOutOfView = bounds.bottom <= visible.top || bounds.top >= visible.bottom
+    || bounds.right <= visible.left || bounds.left >= visible.right;
+  popup.classList.toggle('dictionaread-anchor-hidden', isOutOfView && !popup._pinned);
+  
+  const sides = getAnchorSides(element);
+  const room = {
+    top: bounds.top - inner.top,
+    bottom: inner.bottom - bounds.bottom,
+    left: bounds.left - inner.left,
+    right: inner.right - bounds.right
+  };
+  const needed = side => (side === 'top' || side === 'bottom' ? height : width) + BUBBLE_GAP;
+  const side = sides.find(candidate => room[candidate] >= needed(candidate))
+    || (room[sides[0]] >= room[sides[1]] ? sides[0] : sides[1]);
+  
+  // The arrow points at the first line (or column) on the preferred side, the last on the other
+  const line = side === sides[0] ? rects[0] : rects[rects.length - 1];
+  const isVertical = side === 'top' || side === 'bottom';
+  let x, y;
+  
+  if (isVertical) {
+    x = clamp(line.left + line.width / 2 - width / 2, inner.left, inner.right - width);
+    y = clamp(side === 'top' ? bounds.top - BUBBLE_GAP - height : bounds.bottom + BUBBLE_GAP, inner.top, inner.bottom - height);
+  } else {
+    x = clamp(side === 'left' ? bounds.left - BUBBLE_GAP - width : bounds.right + BUBBLE_GAP, inner.left, inner.right - width);
+    y = clamp(line.top + line.height / 2 - height / 2, inner.top, inner.bottom - height);
+  }
+  setPlacement(side, x, y);
+  
+  // The arrow only shows while the bubble sits clear of the text, across from the line
+  const isClear = {
+    top: y + height <= bounds.top,
+    bottom: y >= bounds.bottom,
+    left: x + width <= bounds.left,
+    right: x >= bounds.right
+  }[side];
+  const target = isVertical ? line.left + line.width / 2 - x : line.top + line.height / 2 - y;
+  const length = isVertical ? width : height;
+  
+  arrow.hidden = !isClear || isOutOfView || target < ARROW_EDGE_MARGIN || target > length - ARROW_EDGE_MARGIN;
+  arrow.style.left = isVertical ? `${target - ARROW_SIZE / 2}px` : '';
+  arrow.style.top = isVertical ? '' : `${target - ARROW_SIZE / 2}px`;
+}
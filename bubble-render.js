@@ -0,0 +1,578 @@
+/**
+ * Bubble rendering for DictionaRead extension
+ * Builds the definition bubble with DOM construction only: every string from a
+ * dictionary, custom endpoint or the page is set as text, and links and audio
+ * are limited to http(s) URLs, so untrusted content can never become markup.
+ * Also applies the theme (colors from theme.js), font size and width settings.
+ * Shared by the content script, the side panel, the review page and the options
+ * page preview
+ */
+
+// Related-word chips shown per list
+const MAX_WORD_CHIPS = 8;
+
+/**
+ * Creates an element with text, attributes and children
+ * Text is always assigned through textContent, never parsed as HTML
+ * @param {string} tagName - The element's tag name
+ * @param {Object} options - Element options
+ * @param {string} options.className - The class attribute
+ * @param {string} options.text - The text content
+ * @param {Object} options.attributes - Attributes to set, e.g. { role: 'tab' }
+ * @param {Array<Node|string|null>} children - Child nodes; strings become text nodes, null is skipped
+ * @returns {HTMLElement} The element
+ */
+function createBubbleElement(tagName, options = {}, children = []) {
+  const element = document.createElement(tagName);
+  
+  if (options.className) {
+    element.className = options.className;
+  }
+  if (options.text !== undefined) {
+    element.textContent = String(options.text ?? '');
+  }
+  Object.entries(options.attributes || {}).forEach(([name, value]) => {
+    element.setAttribute(name, String(value));
+  });
+  children.forEach(child => {
+    if (child !== null && child !== undefined) {
+      element.append(child);
+    }
+  });
+  
+  return element;
+}
+
+/**
+ * Tells whether a URL from a dictionary may be used as a link or audio source
+ * @param {string} url - The URL
+ * @returns {boolean} True for absolute http(s) URLs
+ */
+function isSafeUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(String(url)).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Creates a link that opens in a new tab, or plain text when the URL is not http(s)
+ * @param {string} url - The link target
+ * @param {string} label - The link text
+ * @returns {Node} The link or text node
+ */
+function createExternalLink(url, label) {
+  if (!isSafeUrl(url)) {
+    return document.createTextNode(String(label ?? ''));
+  }
+  return createBubbleElement('a', {
+    text: label,
+    attributes: { href: url, target: '_blank', rel: 'noopener noreferrer' }
+  });
+}
+
+/**
+ * Creates the bubble's close button
+ * @returns {HTMLElement} The button
+ */
+function createCloseButton() {
+  return createBubbleElement('button', {
+    className: 'dictionaread-close',
+    text: '×',
+    attributes: { 'aria-label': 'Close' }
+  });
+}
+
+/**
+ * Creates the loading state shown while the definition is fetched
+ * @param {string} selectedText - The text being looked up
+ * @returns {HTMLElement} The popup content
+ */
+function createLoadingContent(selectedText) {
+  return createBubbleElement('div', { className: 'dictionaread-popup-content' }, [
+    createLoadingRow(selectedText),
+    createCloseButton()
+  ]);
+}
+
+/**
+ * Creates the spinner and "Looking up" line, also shown above a result while a word
+ * from it is looked up
+ * @param {string} selectedText - The text being looked up
+ * @returns {HTMLElement} The loading line
+ */
+function createLoadingRow(selectedText) {
+  return createBubbleElement('div', { className: 'dictionaread-loading' }, [
+    createBubbleElement('div', { className: 'dictionaread-spinner' }),
+    createBubbleElement('span', { text: `Looking up "${selectedText}"...` })
+  ]);
+}
+
+/**
+ * Creates the trail of words looked up inside the bubble, with back and forward buttons
+ * Every button carries the position of the lookup it shows as data-lookup-index
+ * @param {Array<string>} words - The looked-up words, oldest first
+ * @param {number} index - The position of the lookup shown
+ * @returns {HTMLElement} The trail
+ */
+function createLookupTrail(words, index) {
+  const back = createBubbleElement('button', {
+    className: 'dictionaread-back',
+    text: '←',
+    attributes: { 'aria-label': 'Back', 'aria-keyshortcuts': 'Alt+ArrowLeft', 'data-lookup-index': index - 1 }
+  });
+  back.disabled = index === 0;
+  
+  const forward = createBubbleElement('button', {
+    className: 'dictionaread-forward',
+    text: '→',
+    attributes: { 'aria-label': 'Forward', 'aria-keyshortcuts': 'Alt+ArrowRight', 'data-lookup-index': index + 1 }
+  });
+  forward.disabled = index === words.length - 1;
+  
+  const crumbs = createBubbleElement('ol', { className: 'dictionaread-trail-words' }, words.map((word, position) => {
+    const crumb = createBubbleElement('button', {
+      className: 'dictionaread-trail-word',
+      text: word,
+      attributes: { 'data-lookup-index': position }
+    });
+    if (position === index) {
+      crumb.setAttribute('aria-current', 'page');
+    }
+    return createBubbleElement('li', {}, [crumb]);
+  }));
+  
+  return createBubbleElement('nav', {
+    className: 'dictionaread-trail',
+    attributes: { 'aria-label': 'Looked-up words' }
+  }, [back, forward, crumbs]);
+}
+
+/**
+ * Creates the error state with a fallback web search link
+ * @param {string} selectedText - The original selected text
+ * @returns {HTMLElement} The popup content
+ */
+function createErrorContent(selectedText) {
+  const googleSearchUrl = `https://www.google.com/search?q=${encodeURIComponent(selectedText)}`;
+  
+  return createBubbleElement('div', { className: 'dictionaread-popup-content' }, [
+    createBubbleElement('div', { className: 'dictionaread-error' }, [
+      createBubbleElement('p', {}, [
+        'Sorry! We\'re unable to help with this, please review your selection or ',
+        createExternalLink(googleSearchUrl, 'click here'),
+        '.'
+      ])
+    ]),
+    createCloseButton()
+  ]);
+}
+
+/**
+ * Creates the content for a successful definition or translation result
+ * Pronunciation containers are left empty for the caller to fill
+ * @param {Object} definition - The definition or translation result
+ * @param {Object} settings - The display settings (see settings.js); visibleSenses is used
+ * @returns {HTMLElement} The popup content
+ */
+function createDefinitionContent(definition, settings = DEFAULT_SETTINGS) {
+  if (definition.mode === 'translate') {
+    return createBubbleElement('div', { className: 'dictionaread-popup-content' }, [
+      createTranslation(definition),
+      createBubbleActions(),
+      createCloseButton()
+    ]);
+  }
+  
+  const entries = getDefinitionEntries(definition);
+  
+  return createBubbleElement('div', { className: 'dictionaread-popup-content' }, [
+    createBubbleElement('div', { className: 'dictionaread-definition' }, [
+      definition.truncated
+        ? createBubbleElement('p', { className: 'dictionaread-note', text: 'Only the start of your selection was looked up.' })
+        : null,
+      definition.inflection ? createInflection(definition.inflection) : null,
+      ...(definition.segments ? createSegmentTabs(definition.segments, definition.missing) : []),
+      !definition.segments && entries.length > 1 ? createHomographTabs(entries) : null,
+      ...(definition.segments
+        ? createSegmentEntries(definition.segments, settings.visibleSenses)
+        : entries.map((entry, index) => createEntry(entry, index, settings.visibleSenses))),
+      createAttribution(definition, entries)
+    ]),
+    createBubbleActions(),
+    createCloseButton()
+  ]);
+}
+
+/**
+ * Creates the buttons under a result: copy it and pin the bubble
+ * The content script wires them up; C and P are their keyboard shortcuts
+ * @returns {HTMLElement} The button row
+ */
+function createBubbleActions() {
+  return createBubbleElement('div', { className: 'dictionaread-actions' }, [
+    createBubbleElement('button', {
+      className: 'dictionaread-copy',
+      text: 'Copy',
+      attributes: { 'aria-keyshortcuts': 'C' }
+    }),
+    createBubbleElement('button', {
+      className: 'dictionaread-pin',
+      text: 'Pin',
+      attributes: { 'aria-pressed': false, 'aria-keyshortcuts': 'P', title: 'Keep the bubble open' }
+    })
+  ]);
+}
+
+/**
+ * Lists the entries of a definition result: every homograph, part after part for a
+ * segmented phrase (older cached results only carry one)
+ * @param {Object} definition - The definition result
+ * @returns {Array<DefinitionEntry>} The normalized entries
+ */
+function getDefinitionEntries(definition) {
+  if (definition.segments) {
+    return definition.segments.flatMap(segment => getDefinitionEntries(segment.definition));
+  }
+  return definition.entries && definition.entries.length > 0 ? definition.entries : [definition.data];
+}
+
+/**
+ * Creates the tabs that switch between homographs (e.g. bank¹, bank²)
+ * @param {Array<Object>} entries - The normalized definition entries
+ * @returns {HTMLElement} The tab list
+ */
+function createHomographTabs(entries) {
+  const superscripts = ['¹', '²', '³', '⁴', '⁵', '⁶', '⁷', '⁸', '⁹'];
+  
+  const tabs = entries.map((entry, index) => {
+    const partsOfSpeech = [...new Set((entry.meanings || []).map(meaning => meaning.partOfSpeech).filter(Boolean))];
+    return createBubbleElement('button', {
+      className: 'dictionaread-tab',
+      text: `${entry.word}${superscripts[index] || index + 1}`,
+      attributes: {
+        role: 'tab',
+        'data-entry-index': index,
+        'aria-selected': index === 0,
+        title: partsOfSpeech.join(', ')
+      }
+    });
+  });
+  
+  return createBubbleElement('div', {
+    className: 'dictionaread-tabs',
+    attributes: { role: 'tablist', 'aria-label': 'Entries' }
+  }, tabs);
+}
+
+/**
+ * Creates the tabs of a phrase that was split into known parts ("in lieu of" | "payment")
+ * Each tab shows every homograph of its part (see createSegmentEntries)
+ * @param {Array<Object>} segments - The phrase parts that have definitions, in reading order
+ * @param {Array<string>} missing - Words no dictionary knew
+ * @returns {Array<HTMLElement>} The tab list, followed by a note on missing words if any
+ */
+function createSegmentTabs(segments, missing) {
+  const tabs = segments.map((segment, index) => createBubbleElement('button', {
+    className: 'dictionaread-tab',
+    text: segment.text,
+    attributes: { role: 'tab', 'data-segment-index': index, 'aria-selected': index === 0 }
+  }));
+  
+  const nodes = [createBubbleElement('div', {
+    className: 'dictionaread-tabs',
+    attributes: { role: 'tablist', 'aria-label': 'Phrase parts' }
+  }, tabs)];
+  
+  if (missing && missing.length > 0) {
+    nodes.push(createBubbleElement('p', { className: 'dictionaread-note', text: `No definition for: ${missing.join(', ')}` }));
+  }
+  return nodes;
+}
+
+/**
+ * Creates the entry panels of a segmented phrase, numbered across all its parts like
+ * getDefinitionEntries and marked with the part they belong to
+ * @param {Array<Object>} segments - The phrase parts that have definitions, in reading order
+ * @param {number} visibleSenses - Senses shown per part of speech before "more senses"
+ * @returns {Array<HTMLElement>} The entry panels; those of the first part are shown
+ */
+function createSegmentEntries(segments, visibleSenses) {
+  let index = 0;
+  return segments.flatMap((segment, segmentIndex) => getDefinitionEntries(segment.definition).map(entry => {
+    const panel = createEntry(entry, index++, visibleSenses);
+    panel.dataset.segmentIndex = segmentIndex;
+    panel.hidden = segmentIndex > 0;
+    return panel;
+  }));
+}
+
+/**
+ * Creates one homograph: headword, pronunciation placeholder and senses
+ * @param {Object} entry - The normalized definition entry
+ * @param {number} index - The entry's position among the homographs
+ * @param {number} visibleSenses - Senses shown per part of speech before "more senses"
+ * @returns {HTMLElement} The entry panel
+ */
+function createEntry(entry, index, visibleSenses) {
+  const panel = createBubbleElement('div', {
+    className: 'dictionaread-entry',
+    attributes: { role: 'tabpanel', 'data-entry-index': index }
+  }, [
+    createBubbleElement('h3', { className: 'dictionaread-word', text: entry.word }),
+    createBubbleElement('div', { className: 'dictionaread-pronunciation' }),
+    createBubbleElement('div', { className: 'dictionaread-meaning' }, createMeanings(entry, visibleSenses)),
+    createFullEntryLink(entry)
+  ]);
+  panel.hidden = index > 0;
+  return panel;
+}
+
+/**
+ * Creates the link to an entry's full page: its first source page, or Wiktionary when
+ * the source names none (e.g. the offline dictionary)
+ * @param {Object} entry - The normalized definition entry
+ * @returns {HTMLElement} The link
+ */
+function createFullEntryLink(entry) {
+  const url = (entry.sourceUrls || []).find(isSafeUrl) ||
+    `https://en.wiktionary.org/wiki/${encodeURIComponent(String(entry.word).replace(/ /g, '_'))}`;
+  
+  return createBubbleElement('a', {
+    className: 'dictionaread-full-entry',
+    text: 'Full entry ↗',
+    attributes: { href: url, target: '_blank', rel: 'noopener noreferrer', 'aria-keyshortcuts': 'O' }
+  });
+}
+
+/**
+ * Creates the parts of speech of a normalized definition entry
+ * Every provider returns the same shape (see DefinitionEntry in providers.js)
+ * The first senses of each part of speech are shown; the rest collapse under "more senses"
+ * @param {Object} data - The normalized definition entry
+ * @param {number} visibleSenses - Senses shown per part of speech before "more senses"
+ * @returns {Array<HTMLElement>} The meaning elements, with separators between them
+ */
+function createMeanings(data, visibleSenses) {
+  if (!data.meanings || data.meanings.length === 0) {
+    return [createBubbleElement('p', { text: 'No definition available' })];
+  }
+  
+  const nodes = [];
+  
+  data.meanings.forEach((meaning, index) => {
+    if (index > 0) nodes.push(createBubbleElement('hr', { className: 'dictionaread-separator' }));
+    
+    const item = createBubbleElement('div', { className: 'dictionaread-meaning-item' });
+    
+    // Part of speech
+    if (meaning.partOfSpeech) {
+      item.append(createBubbleElement('div', { className: 'dictionaread-part-of-speech', text: meaning.partOfSpeech }));
+    }
+    
+    // Definitions
+    if (meaning.definitions && meaning.definitions.length > 0) {
+      const visible = meaning.definitions.slice(0, visibleSenses);
+      const hidden = meaning.definitions.slice(visibleSenses);
+      
+      const list = createBubbleElement('div', { className: 'dictionaread-definitions' },
+        visible.map((def, defIndex) => createSense(def, defIndex)));
+      
+      if (hidden.length > 0) {
+        list.append(createBubbleElement('details', { className: 'dictionaread-more' }, [
+          createBubbleElement('summary', { text: `${hidden.length} more ${hidden.length === 1 ? 'sense' : 'senses'}` }),
+          ...hidden.map((def, defIndex) => createSense(def, visibleSenses + defIndex))
+        ]));
+      }
+      item.append(list);
+    }
+    
+    // Synonyms and antonyms shared by the whole part of speech
+    [createWordChips('Synonyms', meaning.synonyms), createWordChips('Antonyms', meaning.antonyms)]
+      .filter(Boolean)
+      .forEach(chips => item.append(chips));
+    
+    nodes.push(item);
+  });
+  
+  return nodes;
+}
+
+/**
+ * Creates a single numbered sense with its example and related words
+ * @param {Object} def - The sense from the normalized entry
+ * @param {number} defIndex - The sense's position within its part of speech
+ * @returns {HTMLElement} The sense element
+ */
+function createSense(def, defIndex) {
+  return createBubbleElement('div', {
+    className: `dictionaread-definition-item${def.contextMatch ? ' dictionaread-context-match' : ''}`
+  }, [
+    createBubbleElement('span', { className: 'dictionaread-definition-number', text: `${defIndex + 1}.` }),
+    createBubbleElement('div', { className: 'dictionaread-definition-body' }, [
+      // The sense ranked first because it fits the sentence being read
+      def.contextMatch
+        ? createBubbleElement('span', { className: 'dictionaread-context-label', text: 'Best match in this context' })
+        : null,
+      createBubbleElement('span', { className: 'dictionaread-definition-text', text: def.definition }),
+      def.example ? createBubbleElement('div', { className: 'dictionaread-example', text: `“${def.example}”` }) : null,
+      createWordChips('Synonyms', def.synonyms),
+      createWordChips('Antonyms', def.antonyms)
+    ])
+  ]);
+}
+
+/**
+ * Creates related words as clickable chips that look the word up
+ * @param {string} label - The label, e.g. "Synonyms"
+ * @param {Array<string>} words - The related words
+ * @returns {HTMLElement|null} The chip list, or null when there are none
+ */
+function createWordChips(label, words) {
+  if (!words || words.length === 0) return null;
+  
+  const chips = words.slice(0, MAX_WORD_CHIPS).map(word => {
+    const chip = createBubbleElement('button', { className: 'dictionaread-chip', text: word });
+    chip.dataset.word = String(word);
+    return chip;
+  });
+  
+  return createBubbleElement('div', { className: 'dictionaread-related' }, [
+    createBubbleElement('span', { className: 'dictionaread-related-label', text: `${label}:` }),
+    ...chips
+  ]);
+}
+
+/**
+ * Creates the source attribution: provider, source pages and license
+ * @param {Object} definition - The definition result
+ * @param {Array<Object>} entries - The normalized definition entries
+ * @returns {HTMLElement|null} The attribution, or null when there is nothing to credit
+ */
+function createAttribution(definition, entries) {
+  const sourceUrls = [...new Set(entries.flatMap(entry => entry.sourceUrls || []))].filter(isSafeUrl);
+  const license = entries.find(entry => entry.license)?.license;
+  
+  if (!definition.source && sourceUrls.length === 0 && !license) return null;
+  
+  const parts = [];
+  if (definition.source) {
+    parts.push(document.createTextNode(`Source: ${definition.source.name}`));
+  }
+  sourceUrls.forEach(url => {
+    parts.push(createExternalLink(url, url.replace(/^https?:\/\/(www\.)?/i, '')));
+  });
+  if (license) {
+    parts.push(createExternalLink(license.url, license.name));
+  }
+  
+  const attribution = createBubbleElement('div', { className: 'dictionaread-source' });
+  parts.forEach((part, index) => {
+    if (index > 0) attribution.append(' · ');
+    attribution.append(part);
+  });
+  return attribution;
+}
+
+/**
+ * Creates the note shown when an inflected form was looked up by its lemma
+ * @param {Object} inflection - The looked-up form, its lemma and the inflection
+ * @returns {HTMLElement} The note, e.g. "running → run (present participle)"
+ */
+function createInflection(inflection) {
+  return createBubbleElement('div', { className: 'dictionaread-inflection' }, [
+    `${inflection.form} → `,
+    createBubbleElement('strong', { text: inflection.lemma }),
+    ' ',
+    createBubbleElement('span', { className: 'dictionaread-inflection-label', text: `(${inflection.inflection})` })
+  ]);
+}
+
+/**
+ * Creates a translation for display
+ * @param {Object} translation - The translation result
+ * @returns {HTMLElement} The translation
+ */
+function createTranslation(translation) {
+  const source = translation.source && translation.source !== 'auto' ? String(translation.source) : '';
+  const target = String(translation.target || '');
+  
+  const original = createBubbleElement('p', { className: 'dictionaread-translation-original', text: translation.text });
+  if (source) original.lang = source;
+  const translated = createBubbleElement('p', { className: 'dictionaread-translation-text', text: translation.translatedText });
+  translated.lang = target;
+  
+  return createBubbleElement('div', { className: 'dictionaread-translation' }, [
+    createBubbleElement('div', {
+      className: 'dictionaread-translation-languages',
+      text: `${source ? source.toUpperCase() : 'Auto'} → ${target.toUpperCase()}`
+    }),
+    original,
+    translated,
+    createBubbleElement('div', {
+      className: 'dictionaread-source',
+      text: `Translated by ${translation.backend || 'translation service'}`
+    })
+  ]);
+}
+
+/**
+ * Formats an entry as plain text for the clipboard: headword, then numbered senses per
+ * part of speech
+ * @param {Object} entry - The normalized definition entry
+ * @returns {string} The text
+ */
+function formatEntryText(entry) {
+  const lines = [entry.phonetic ? `${entry.word} ${entry.phonetic}` : entry.word];
+  
+  (entry.meanings || []).forEach(meaning => {
+    lines.push('');
+    if (meaning.partOfSpeech) {
+      lines.push(meaning.partOfSpeech);
+    }
+    (meaning.definitions || []).forEach((def, index) => {
+      lines.push(`${index + 1}. ${def.definition}`);
+    });
+  });
+  
+  return lines.join('\n');
+}
+
+/**
+ * Applies the theme, font size, width and reduced-motion settings to a bubble
+ * Text inside the bubble is sized in em, so it scales with the font size
+ * @param {HTMLElement} popup - The popup element
+ * @param {Object} settings - The display settings (see settings.js)
+ * @param {Node|null} anchorNode - What the bubble points at; the "auto" theme contrasts with its background
+ */
+function applyBubbleSettings(popup, settings, anchorNode = null) {
+  popup.style.setProperty('font-size', `${settings.fontSize}px`);
+  popup.style.setProperty('max-width', `min(${settings.bubbleWidth}px, calc(100vw - 20px))`);
+  popup.classList.toggle('dictionaread-reduced-motion', settings.reduceMotion);
+  applyDynamicStyling(popup, getThemeInfo(settings.theme, settings.customThemes, anchorNode));
+}
+
+/**
+ * Applies the theme colors (see getThemeInfo in theme.js)
+ * @param {HTMLElement} popup - The popup element
+ * @param {Object} themeInfo - Theme information and colors
+ */
+function applyDynamicStyling(popup, themeInfo) {
+  const colors = themeInfo.colors;
+  
+  // Apply dynamic colors via inline styles (the shadow root keeps page styles out)
+  popup.style.setProperty('background-color', colors.background);
+  popup.style.setProperty('color', colors.text);
+  popup.style.setProperty('border-color', colors.border);
+  popup.style.setProperty('box-shadow', `0 4px 12px ${colors.shadow}`);
+  popup.style.setProperty('--dictionaread-muted', colors.muted);
+  popup.style.setProperty('--dictionaread-accent', colors.accent);
+  
+  // Theme class for CSS-based styling; a re-themed bubble must lose the old one
+  popup.classList.toggle('dictionaread-dark', themeInfo.isDark);
+  popup.classList.toggle('dictionaread-light', !themeInfo.isDark);
+  
+  // Store theme info for potential use by child elements
+  popup._themeInfo = themeInfo;
+}
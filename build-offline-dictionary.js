@@ -0,0 +1,133 @@
+/**
+ * Offline dictionary builder for DictionaRead
+ * Converts the WordNet 3.1 database files into the compact index offline-dictionary.js
+ * loads: every lemma, its senses ordered by part of speech (most tagged first) and sense
+ * number, each with its gloss and first example. Glosses are stored once and shared by
+ * the lemmas of their synset, and the index is gzipped
+ *
+ * Usage: node build-offline-dictionary.js <dict directory> [output file]
+ * The dict directory comes with the wordnet-db npm package (npm pack wordnet-db@3.1.14)
+ * Output defaults to data/offline-dictionary.json.gz; bump OFFLINE_DICTIONARY_VERSION after rebuilding
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const DICTIONARY_DIRECTORY = process.argv[2];
+const OUTPUT_FILE = process.argv[3] || path.join(__dirname, 'data', 'offline-dictionary.json.gz');
+const INDEX_VERSION = 2; // Matches OFFLINE_DICTIONARY_VERSION in offline-dictionary.js
+
+// WordNet file suffixes by part-of-speech code
+const POS_FILES = { n: 'noun', v: 'verb', a: 'adj', r: 'adv' };
+
+const LICENSE = 'WordNet 3.1 Copyright 2011 by Princeton University. All rights reserved. ' +
+  'Used under the WordNet License, which permits use, copying, modification and distribution ' +
+  'without fee provided the copyright notice, statements and disclaimer appear on all copies; ' +
+  'see data/WORDNET-LICENSE.txt';
+
+/**
+ * Reads the non-header lines of a WordNet database file
+ * @param {string} name - The file name, e.g. "data.noun"
+ * @returns {Array<string>} The lines; header lines start with two spaces
+ */
+function readDatabaseLines(name) {
+  return fs.readFileSync(path.join(DICTIONARY_DIRECTORY, name), 'utf8')
+    .split('\n')
+    .filter(line => line && !line.startsWith('  '));
+}
+
+/**
+ * Splits a synset's gloss into its definition and first example
+ * "without musical accompaniment; \"they performed a cappella\"" → definition and example
+ * @param {string} gloss - The text after "|" in a data file line
+ * @returns {Array<string>} The definition, and the example if there is one
+ */
+function parseGloss(gloss) {
+  const text = gloss.trim();
+  const quote = text.indexOf('"');
+  if (quote < 0) return [text];
+  
+  const definition = text.slice(0, quote).replace(/[;\s]+$/, '');
+  const example = text.slice(quote + 1).split('"')[0].trim();
+  return example ? [definition, example] : [definition];
+}
+
+/**
+ * Reads every synset of every part of speech
+ * @returns {Map<string, Array<string>>} Part-of-speech code and offset → [synset type, definition, example?]
+ */
+function readSynsets() {
+  const synsets = new Map();
+  
+  Object.entries(POS_FILES).forEach(([code, suffix]) => {
+    readDatabaseLines(`data.${suffix}`).forEach(line => {
+      const [fields, gloss = ''] = line.split(' | ');
+      const [offset, , type] = fields.split(' ');
+      synsets.set(`${code}${offset}`, [type, ...parseGloss(gloss)]);
+    });
+  });
+  return synsets;
+}
+
+/**
+ * Builds the index: a shared gloss table and each lemma's gloss numbers
+ * @returns {Object} The index in the format offline-dictionary.js reads
+ */
+function buildIndex() {
+  const synsets = readSynsets();
+  const lemmas = new Map(); // Lemma → its parts of speech with tagged sense count and synsets
+  
+  Object.entries(POS_FILES).forEach(([code, suffix]) => {
+    readDatabaseLines(`index.${suffix}`).forEach(line => {
+      // lemma pos synset_cnt p_cnt [ptr_symbol...] sense_cnt tagsense_cnt synset_offset...
+      const fields = line.trim().split(' ');
+      const synsetCount = Number(fields[2]);
+      const pointerCount = Number(fields[3]);
+      const offsets = fields.slice(6 + pointerCount, 6 + pointerCount + synsetCount);
+      
+      const lemma = fields[0].replace(/_/g, ' ');
+      if (!lemmas.has(lemma)) {
+        lemmas.set(lemma, []);
+      }
+      lemmas.get(lemma).push({
+        tagged: Number(fields[5 + pointerCount]),
+        synsets: offsets.map(offset => synsets.get(`${code}${offset}`))
+      });
+    });
+  });
+  
+  const glosses = [];
+  const glossNumbers = new Map();
+  const entries = {};
+  [...lemmas.keys()].sort().forEach(lemma => {
+    entries[lemma] = lemmas.get(lemma)
+      .sort((a, b) => b.tagged - a.tagged)
+      .flatMap(group => group.synsets)
+      .map(synset => {
+        if (!glossNumbers.has(synset)) {
+          glossNumbers.set(synset, glosses.length);
+          glosses.push(synset);
+        }
+        return glossNumbers.get(synset);
+      });
+  });
+  
+  return {
+    version: INDEX_VERSION,
+    source: 'WordNet 3.1',
+    license: LICENSE,
+    partsOfSpeech: { n: 'noun', v: 'verb', a: 'adjective', s: 'adjective', r: 'adverb' },
+    glosses: glosses,
+    entries: entries
+  };
+}
+
+if (!DICTIONARY_DIRECTORY) {
+  console.error('Usage: node build-offline-dictionary.js <dict directory> [output file]');
+  process.exit(1);
+}
+
+const index = buildIndex();
+fs.writeFileSync(OUTPUT_FILE, zlib.gzipSync(JSON.stringify(index), { level: 9 }));
+console.log(`Wrote ${Object.keys(index.entries).length} lemmas and ${index.glosses.length} glosses to ${OUTPUT_FILE}`);
@@ -0,0 +1,271 @@
+/**
+ * Definition cache for DictionaRead extension
+ * Keeps recent lookups in memory and in IndexedDB with LRU eviction and a time-to-live,
+ * so repeated lookups skip the network
+ */
+
+const CACHE_DATABASE_NAME = 'dictionaread-cache';
+const CACHE_STORE = 'definitions';
+const CACHE_STATS_KEY = 'cacheStats';
+const DEFAULT_CACHE_MAX_ENTRIES = 500;
+const DEFAULT_CACHE_TTL_HOURS = 168; // One week
+const NEGATIVE_CACHE_TTL_HOURS = 1; // "No definition found" results expire sooner
+const MEMORY_CACHE_LIMIT = 100;
+const CACHE_STATS_FLUSH_DELAY_MS = 5000; // Hit and miss counts are written at most this often
+
+// In-memory layer; Map insertion order doubles as least-recently-used order
+const memoryCache = new Map();
+
+// Shared connection to the cache database
+let cacheDatabase = null;
+
+// Hits and misses not yet written to storage; lookups count here and never wait for the write
+const pendingCacheStats = { hits: 0, misses: 0 };
+let cacheStatsFlushTimer = null;
+let cacheStatsWrites = Promise.resolve(); // Chained so concurrent flushes never lose counts
+
+/**
+ * Opens the cache database, reusing the connection across lookups
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+function openCacheDatabase() {
+  if (!cacheDatabase) {
+    cacheDatabase = openDatabase(CACHE_DATABASE_NAME, 1, db => {
+      const store = db.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+      store.createIndex('lastAccess', 'lastAccess');
+    }).catch(error => {
+      cacheDatabase = null;
+      throw error;
+    });
+  }
+  return cacheDatabase;
+}
+
+/**
+ * Builds the cache key for a lookup
+ * @param {string} word - The word or phrase being looked up
+ * @param {string} language - The lookup language code
+ * @returns {string} The cache key
+ */
+function getCacheKey(word, language) {
+  return `${language}:${word.trim().toLowerCase()}`;
+}
+
+/**
+ * Reads the cache size limit and time-to-live from storage
+ * @returns {Promise<{maxEntries: number, ttlHours: number}>} The cache settings
+ */
+async function getCacheSettings() {
+  const result = await chrome.storage.local.get(['cacheMaxEntries', 'cacheTtlHours']);
+  return {
+    maxEntries: result.cacheMaxEntries > 0 ? result.cacheMaxEntries : DEFAULT_CACHE_MAX_ENTRIES,
+    ttlHours: result.cacheTtlHours > 0 ? result.cacheTtlHours : DEFAULT_CACHE_TTL_HOURS
+  };
+}
+
+/**
+ * Returns a cached definition result if one exists and has not expired
+ * @param {string} word - The word or phrase being looked up
+ * @param {string} language - The lookup language code
+ * @returns {Promise<Object|null>} The cached result, or null on a miss
+ */
+async function getCachedDefinition(word, language) {
+  const key = getCacheKey(word, language);
+  const now = Date.now();
+  let record = memoryCache.get(key);
+  
+  if (!record) {
+    const db = await openCacheDatabase();
+    record = await promisifyRequest(db.transaction(CACHE_STORE).objectStore(CACHE_STORE).get(key));
+  }
+  
+  if (!record || record.expiresAt <= now) {
+    if (record) await deleteCachedDefinition(key);
+    recordCacheAccess(false);
+    return null;
+  }
+  
+  // Refresh recency in both layers
+  record.lastAccess = now;
+  rememberInMemory(record);
+  const db = await openCacheDatabase();
+  db.transaction(CACHE_STORE, 'readwrite').objectStore(CACHE_STORE).put(record);
+  
+  recordCacheAccess(true);
+  return record.result;
+}
+
+/**
+ * Stores a definition result, caching successes and "not found" answers but never transient errors
+ * Offline dictionary answers are local already and would hide online results once the network is back
+ * @param {string} word - The word or phrase that was looked up
+ * @param {string} language - The lookup language code
+ * @param {Object} result - The definition result
+ * @returns {Promise<void>}
+ */
+async function setCachedDefinition(word, language, result) {
+  const isNegative = !result.success && result.error === 'No definition found';
+  if (!result.success && !isNegative) return;
+  if (result.source?.id === 'offline') return;
+  
+  const settings = await getCacheSettings();
+  const ttlHours = isNegative ? Math.min(settings.ttlHours, NEGATIVE_CACHE_TTL_HOURS) : settings.ttlHours;
+  const now = Date.now();
+  
+  const record = {
+    key: getCacheKey(word, language),
+    result: result,
+    storedAt: now,
+    lastAccess: now,
+    expiresAt: now + ttlHours * 60 * 60 * 1000
+  };
+  
+  rememberInMemory(record, settings.maxEntries);
+  
+  const db = await openCacheDatabase();
+  const transaction = db.transaction(CACHE_STORE, 'readwrite');
+  transaction.objectStore(CACHE_STORE).put(record);
+  await promisifyTransaction(transaction);
+  
+  await evictCachedDefinitions(db, settings.maxEntries);
+}
+
+/**
+ * Moves a record to the most-recently-used end of the memory layer
+ * @param {Object} record - The cache record
+ * @param {number} maxEntries - The configured cache size limit
+ */
+function rememberInMemory(record, maxEntries = MEMORY_CACHE_LIMIT) {
+  memoryCache.delete(record.key);
+  memoryCache.set(record.key, record);
+  
+  const limit = Math.min(MEMORY_CACHE_LIMIT, maxEntries);
+  while (memoryCache.size > limit) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+}
+
+/**
+ * Removes the least recently used records beyond the size limit
+ * @param {IDBDatabase} db - The cache database
+ * @param {number} maxEntries - The configured cache size limit
+ * @returns {Promise<void>}
+ */
+async function evictCachedDefinitions(db, maxEntries) {
+  const transaction = db.transaction(CACHE_STORE, 'readwrite');
+  const store = transaction.objectStore(CACHE_STORE);
+  let overflow = (await promisifyRequest(store.count())) - maxEntries;
+  
+  if (overflow > 0) {
+    // Walk the recency index from the oldest access upwards
+    const request = store.index('lastAccess').openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || overflow <= 0) return;
+      
+      memoryCache.delete(cursor.value.key);
+      cursor.delete();
+      overflow--;
+      cursor.continue();
+    };
+  }
+  
+  await promisifyTransaction(transaction);
+}
+
+/**
+ * Deletes a single cache record from both layers
+ * @param {string} key - The cache key
+ * @returns {Promise<void>}
+ */
+async function deleteCachedDefinition(key) {
+  memoryCache.delete(key);
+  const db = await openCacheDatabase();
+  const transaction = db.transaction(CACHE_STORE, 'readwrite');
+  transaction.objectStore(CACHE_STORE).delete(key);
+  await promisifyTransaction(transaction);
+}
+
+/**
+ * Counts a cache hit or miss in memory; the counts are written in one batch shortly after
+ * @param {boolean} hit - Whether the lookup was served from the cache
+ */
+function recordCacheAccess(hit) {
+  if (hit) {
+    pendingCacheStats.hits++;
+  } else {
+    pendingCacheStats.misses++;
+  }
+  
+  if (!cacheStatsFlushTimer) {
+    cacheStatsFlushTimer = setTimeout(() => {
+      flushCacheStats().catch(error => console.error('Error saving cache statistics:', error));
+    }, CACHE_STATS_FLUSH_DELAY_MS);
+  }
+}
+
+/**
+ * Adds the counts gathered in memory to the stored statistics
+ * @returns {Promise<void>} Resolves once every count so far is stored
+ */
+function flushCacheStats() {
+  clearTimeout(cacheStatsFlushTimer);
+  cacheStatsFlushTimer = null;
+  
+  const counts = { ...pendingCacheStats };
+  pendingCacheStats.hits = 0;
+  pendingCacheStats.misses = 0;
+  if (counts.hits === 0 && counts.misses === 0) return cacheStatsWrites;
+  
+  cacheStatsWrites = cacheStatsWrites.catch(() => {}).then(async () => {
+    const result = await chrome.storage.local.get([CACHE_STATS_KEY]);
+    const stats = result[CACHE_STATS_KEY] || { hits: 0, misses: 0 };
+    await chrome.storage.local.set({
+      [CACHE_STATS_KEY]: { hits: stats.hits + counts.hits, misses: stats.misses + counts.misses }
+    });
+  });
+  return cacheStatsWrites;
+}
+
+/**
+ * Collects cache statistics for the control panel
+ * @returns {Promise<Object>} Entry counts, hit/miss counters and the active settings
+ */
+async function getCacheStats() {
+  const db = await openCacheDatabase();
+  const entries = await promisifyRequest(db.transaction(CACHE_STORE).objectStore(CACHE_STORE).count());
+  await flushCacheStats();
+  const result = await chrome.storage.local.get([CACHE_STATS_KEY]);
+  const stats = result[CACHE_STATS_KEY] || { hits: 0, misses: 0 };
+  const settings = await getCacheSettings();
+  
+  return {
+    entries: entries,
+    memoryEntries: memoryCache.size,
+    hits: stats.hits,
+    misses: stats.misses,
+    maxEntries: settings.maxEntries,
+    ttlHours: settings.ttlHours
+  };
+}
+
+/**
+ * Empties both cache layers and resets the statistics
+ * @returns {Promise<void>}
+ */
+async function clearDefinitionCache() {
+  memoryCache.clear();
+  
+  const db = await openCacheDatabase();
+  const transaction = db.transaction(CACHE_STORE, 'readwrite');
+  transaction.objectStore(CACHE_STORE).clear();
+  await promisifyTransaction(transaction);
+  
+  // Counts still in memory or being written belong to the statistics being reset
+  clearTimeout(cacheStatsFlushTimer);
+  cacheStatsFlushTimer = null;
+  pendingCacheStats.hits = 0;
+  pendingCacheStats.misses = 0;
+  await cacheStatsWrites.catch(() => {});
+  await chrome.storage.local.remove(CACHE_STATS_KEY);
+}
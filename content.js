@@ -1,33 +1,169 @@
 /**
  * Content script for DictionaRead extension
- * Handles popup rendering, positioning, and user interactions
+ * Handles popup rendering, positioning, in-page lookup triggers, saved-word highlighting
+ * (see highlighter.js), and user interactions
  */
 
 // Global variables for popup management
-let currentPopup = null;
-let currentSelection = null;
+let currentPopup = null; // The bubble element inside the shadow root; its host is currentPopup._host
+let currentSelection = null; // What the bubble points at: a Range, a text field, or null to center it
 let isPopupVisible = false;
 
+// Lookups shown in the bubble, oldest first: the one that opened it, then words looked up inside it
+const MAX_LOOKUP_STACK = 20;
+let lookupStack = []; // Each lookup: { label, selectedText, definition }
+let lookupIndex = -1; // The lookup the bubble shows; back and forward move it
+
+// Accent the user last picked for pronunciations (e.g. "us" or "uk")
+let preferredAccent = '';
+
+// Pronunciation audio currently playing, so a second click restarts it
+let currentAudio = null;
+
+// Host of the mode switch notice, if one is showing
+let currentNoticeHost = null;
+
+// Keyboard focus: where focus was before the bubble took it, and the screen reader live region
+let focusReturnTarget = null;
+let liveRegion = null;
+
+// Display settings and in-page lookup triggers (see settings.js), kept in sync with storage
+let extensionSettings = { ...DEFAULT_SETTINGS };
+
+// Modifier+hover state: the pending lookup, the last word looked up and the pointer position
+const HOVER_DELAY = 300; // Milliseconds the pointer has to rest on a word
+let hoverTimer = null;
+let lastHoverWord = '';
+let lastPointer = null;
+
+// Anchors of recent lookups by ID; the ID travels with the lookup and comes back with the result
+const MAX_LOOKUP_ANCHORS = 20;
+const lookupAnchors = new Map();
+let nextAnchorId = 1;
+
+// Saved-word hover: the pending bubble and the saved word it shows
+let savedWordTimer = null;
+let lastSavedWord = '';
+
+// Stored values that decide what is highlighted
+const HIGHLIGHT_STORAGE_KEYS = [
+  HISTORY_STORAGE_KEY, 'highlightWords', 'highlightExcludedSites', 'extensionEnabled', 'siteRuleMode', 'siteRules'
+];
+
+// Display names for the accents the dictionary may provide
+const ACCENT_LABELS = {
+  us: 'US',
+  uk: 'UK',
+  au: 'AU',
+  ca: 'CA',
+  ie: 'IE',
+  nz: 'NZ',
+  in: 'IN'
+};
+
+// Speech synthesis voices used when no recording exists
+const ACCENT_SPEECH_LANGS = {
+  us: 'en-US',
+  uk: 'en-GB',
+  au: 'en-AU',
+  ca: 'en-CA',
+  ie: 'en-IE',
+  nz: 'en-NZ',
+  in: 'en-IN'
+};
+
+// Custom element that hosts the bubble's closed shadow root
+const BUBBLE_HOST_TAG = 'dictionaread-bubble';
+
+// Bubble keys and the controls they press: copy, play audio, pin, open the full entry
+const BUBBLE_SHORTCUTS = {
+  c: '.dictionaread-copy',
+  a: '.dictionaread-play',
+  p: '.dictionaread-pin',
+  o: '.dictionaread-full-entry'
+};
+
+// The bubble's stylesheet, loaded once and copied into every shadow root
+let bubbleStyles = '';
+const bubbleStylesReady = fetch(chrome.runtime.getURL('styles.css'))
+  .then(response => response.text())
+  .then(css => {
+    bubbleStyles = css;
+    return css;
+  })
+  .catch(error => {
+    console.error('Error loading bubble styles:', error);
+    return '';
+  });
+
+// Load the accent preference and settings and keep them in sync with other tabs
+chrome.storage.local.get(['preferredAccent']).then(result => {
+  preferredAccent = result.preferredAccent || '';
+});
+getSettings().then(settings => {
+  extensionSettings = settings;
+  updateHighlighting();
+});
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  
+  if (changes.preferredAccent) {
+    preferredAccent = changes.preferredAccent.newValue || '';
+  }
+  Object.keys(changes)
+    .filter(key => SETTINGS_SCHEMA[key])
+    .forEach(key => {
+      extensionSettings[key] = normalizeSetting(key, changes[key].newValue);
+    });
+  
+  // Close the bubble when the extension is switched off here
+  if (!isEnabledHere()) {
+    closeBubble();
+  }
+  
+  // Follow new lookups and the highlighting settings
+  if (Object.keys(changes).some(key => HIGHLIGHT_STORAGE_KEYS.includes(key))) {
+    updateHighlighting();
+  }
+});
+
+// Double-click and modifier+hover lookups
+document.addEventListener('dblclick', handleDoubleClick);
+document.addEventListener('mousemove', handleHoverMove, { passive: true });
+document.addEventListener('keydown', handleHoverKey);
+
+// Saved definitions when resting on an underlined saved word
+document.addEventListener('mousemove', handleSavedWordHover, { passive: true });
+
 /**
  * Message listener for communication with background script
- * Handles different actions: showLoading, showDefinition, showError
+ * Handles different actions: showLoading, showDefinition, showError, showNotice
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   console.log('Content script received message:', message);
   
+  // The site rules may have changed since the page loaded
+  if (!isEnabledHere()) {
+    sendResponse({ success: false, error: 'DictionaRead is off on this site' });
+    return false;
+  }
+  
   try {
     switch (message.action) {
       case 'showLoading':
         console.log('Showing loading popup for:', message.selectedText);
-        showLoadingPopup(message.selectedText);
+        showLoadingPopup(message.selectedText, getLookupTarget(message.anchorId));
         break;
       case 'showDefinition':
         console.log('Showing definition popup for:', message.selectedText);
-        showDefinitionPopup(message.selectedText, message.definition);
+        showDefinitionPopup(message.selectedText, message.definition, getLookupTarget(message.anchorId));
         break;
       case 'showError':
         console.log('Showing error popup:', message.error);
-        showErrorPopup(message.error);
+        showErrorPopup(message.error, '', getLookupTarget(message.anchorId));
+        break;
+      case 'showNotice':
+        showNotice(message.notice);
         break;
       default:
         console.log('Unknown message action:', message.action);
@@ -44,29 +180,35 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 /**
  * Shows a loading popup while fetching the definition
+ * A word looked up inside the bubble keeps the current result up, with a loading line
  * @param {string} selectedText - The text being looked up
+ * @param {Object} target - Where the result goes (see getLookupTarget)
  */
-function showLoadingPopup(selectedText) {
+function showLoadingPopup(selectedText, target) {
+  if (target.inBubble) {
+    const content = currentPopup.querySelector('.dictionaread-popup-content');
+    const trail = content.querySelector('.dictionaread-trail');
+    const row = createLoadingRow(selectedText);
+    
+    content.querySelector('.dictionaread-loading')?.remove();
+    if (trail) {
+      trail.after(row);
+    } else {
+      content.prepend(row);
+    }
+    positionPopup(currentPopup, currentSelection);
+    announce(`Looking up ${selectedText}`);
+    return;
+  }
+  
   // Remove any existing popup
   removeCurrentPopup();
   
-  // Get current selection position
-  const selection = window.getSelection();
-  if (selection.rangeCount === 0) return;
-  
-  currentSelection = selection.getRangeAt(0);
+  currentSelection = target.anchor;
   
   // Create loading popup
-  currentPopup = createPopupElement();
-  currentPopup.innerHTML = `
-    <div class="dictionaread-popup-content">
-      <div class="dictionaread-loading">
-        <div class="dictionaread-spinner"></div>
-        <span>Looking up "${selectedText}"...</span>
-      </div>
-      <button class="dictionaread-close" aria-label="Close">×</button>
-    </div>
-  `;
+  currentPopup = createPopupElement(currentSelection);
+  currentPopup.append(createLoadingContent(selectedText));
   
   // Position and show popup
   positionPopup(currentPopup, currentSelection);
@@ -74,42 +216,41 @@ function showLoadingPopup(selectedText) {
   
   // Add event listeners
   setupPopupEventListeners(currentPopup);
+  announce(`Looking up ${selectedText}`);
 }
 
 /**
  * Shows the definition popup with the fetched data
+ * Translations (mode "translate") are shown in the same bubble, and failed lookups as the
+ * error state. A lookup from the page opens a new bubble; a word looked up inside the
+ * bubble joins its lookup stack, dropping any lookups ahead of the one shown
  * @param {string} selectedText - The original selected text
- * @param {Object} definition - The definition result from the API
+ * @param {Object} definition - The definition or translation result
+ * @param {Object} target - Where the result goes (see getLookupTarget)
  */
-function showDefinitionPopup(selectedText, definition) {
-  // Remove any existing popup
-  removeCurrentPopup();
+function showDefinitionPopup(selectedText, definition, target) {
+  const lookup = {
+    label: selectedText || definition.word || 'No result',
+    selectedText: selectedText,
+    definition: definition
+  };
   
-  if (!definition.success) {
-    // Show error/fallback popup
-    showErrorPopup(definition.error, selectedText);
+  if (target.inBubble) {
+    lookupStack = [...lookupStack.slice(0, lookupIndex + 1), lookup].slice(-MAX_LOOKUP_STACK);
+    showLookupAt(lookupStack.length - 1);
     return;
   }
   
-  // Get current selection position
-  const selection = window.getSelection();
-  if (selection.rangeCount === 0) return;
+  // Remove any existing popup
+  removeCurrentPopup();
   
-  currentSelection = selection.getRangeAt(0);
+  currentSelection = target.anchor;
+  lookupStack = [lookup];
+  lookupIndex = 0;
   
-  // Create definition popup
-  currentPopup = createPopupElement();
-  currentPopup.innerHTML = `
-    <div class="dictionaread-popup-content">
-      <div class="dictionaread-definition">
-        <h3 class="dictionaread-word">${definition.data.word}</h3>
-        <div class="dictionaread-meaning">
-          ${formatDefinition(definition.data)}
-        </div>
-      </div>
-      <button class="dictionaread-close" aria-label="Close">×</button>
-    </div>
-  `;
+  // Create definition popup (built from DOM nodes, so provider text is never parsed as HTML)
+  currentPopup = createPopupElement(currentSelection);
+  renderLookup(currentPopup, lookup);
   
   // Position and show popup
   positionPopup(currentPopup, currentSelection);
@@ -117,286 +258,509 @@ function showDefinitionPopup(selectedText, definition) {
   
   // Add event listeners
   setupPopupEventListeners(currentPopup);
+  setupAutoDismiss(currentPopup);
+  
+  if (target.takesFocus) {
+    focusBubble(currentPopup);
+  }
 }
 
 /**
- * Shows an error popup with fallback to Google search
- * @param {string} error - The error message
- * @param {string} selectedText - The original selected text (optional)
+ * Shows another lookup of the bubble's stack in the same bubble, e.g. for back and forward
+ * @param {number} index - The lookup's position in the stack
  */
-function showErrorPopup(error, selectedText = '') {
-  // Remove any existing popup
-  removeCurrentPopup();
+function showLookupAt(index) {
+  // Replacing the content drops focus from the control that had it
+  const hadFocus = document.activeElement === currentPopup._host;
   
-  // Get current selection position
-  const selection = window.getSelection();
-  if (selection.rangeCount === 0) return;
+  lookupIndex = index;
+  renderLookup(currentPopup, lookupStack[index]);
+  positionPopup(currentPopup, currentSelection);
+  
+  if (hadFocus) {
+    currentPopup.focus({ preventScroll: true });
+  }
+}
+
+/**
+ * Renders a lookup into the bubble, replacing what it showed: the trail of lookups made
+ * inside the bubble, then the result or the error state
+ * @param {HTMLElement} popup - The popup element
+ * @param {Object} lookup - The lookup from the stack
+ */
+function renderLookup(popup, lookup) {
+  const definition = lookup.definition;
+  const content = definition.success
+    ? createDefinitionContent(definition, extensionSettings)
+    : createErrorContent(lookup.selectedText);
   
-  currentSelection = selection.getRangeAt(0);
+  if (lookupStack.length > 1) {
+    content.prepend(createLookupTrail(lookupStack.map(item => item.label), lookupIndex));
+  }
+  popup.replaceChildren(content);
   
-  // Create error popup
-  currentPopup = createPopupElement();
-  const googleSearchUrl = `https://www.google.com/search?q=${encodeURIComponent(selectedText)}`;
+  popup.querySelectorAll('[data-lookup-index]').forEach(button => {
+    button.addEventListener('click', () => {
+      const index = Number(button.dataset.lookupIndex);
+      if (index !== lookupIndex) {
+        showLookupAt(index);
+      }
+    });
+  });
   
-  currentPopup.innerHTML = `
-    <div class="dictionaread-popup-content">
-      <div class="dictionaread-error">
-        <p>Sorry! We're unable to help with this, please review your selection or <a href="${googleSearchUrl}" target="_blank" rel="noopener noreferrer">click here</a>.</p>
-      </div>
-      <button class="dictionaread-close" aria-label="Close">×</button>
-    </div>
-  `;
+  if (!definition.success) {
+    announce(popup.querySelector('.dictionaread-error').textContent);
+    return;
+  }
   
-  // Position and show popup
-  positionPopup(currentPopup, currentSelection);
-  isPopupVisible = true;
+  // Every homograph the dictionary returned; translations have none
+  const entries = definition.mode === 'translate' ? [] : getDefinitionEntries(definition);
   
-  // Add event listeners
-  setupPopupEventListeners(currentPopup);
+  // Older cached results predate multi-language lookups and are all English
+  const language = definition.language || 'en';
+  popup._language = language;
+  if (definition.mode !== 'translate') {
+    popup.lang = language;
+  }
+  
+  // Fill in pronunciations and wire up tabs, chips and words before measuring the popup
+  entries.forEach((entry, index) => {
+    renderPronunciation(
+      popup.querySelector(`.dictionaread-entry[data-entry-index="${index}"] .dictionaread-pronunciation`),
+      entry,
+      language
+    );
+  });
+  setupEntryControls(popup, language);
+  makeWordsClickable(popup);
+  setupBubbleActions(popup, definition, entries);
+  
+  announce(describeResult(definition, entries));
 }
 
 /**
- * Creates the base popup element with proper styling
- * @returns {HTMLElement} The popup element
+ * Summarizes a result for screen readers: the headword and its first sense
+ * @param {Object} definition - The definition or translation result
+ * @param {Array<Object>} entries - The normalized definition entries
+ * @returns {string} The announcement
  */
-function createPopupElement() {
-  const popup = document.createElement('div');
-  popup.className = 'dictionaread-popup';
-  popup.setAttribute('role', 'dialog');
-  popup.setAttribute('aria-label', 'Dictionary definition');
+function describeResult(definition, entries) {
+  if (definition.mode === 'translate') {
+    return `Translation: ${definition.translatedText}`;
+  }
   
-  // Detect page theme and apply dynamic contrast colors
-  const themeInfo = detectThemeAndContrast();
-  applyDynamicStyling(popup, themeInfo);
+  const entry = entries[0];
+  const meaning = (entry.meanings || []).find(item => item.definitions && item.definitions.length > 0);
+  if (!meaning) {
+    return `${entry.word}: no definition available`;
+  }
   
-  return popup;
+  const senseCount = entries
+    .flatMap(item => item.meanings || [])
+    .reduce((count, item) => count + (item.definitions || []).length, 0);
+  const heading = [entry.word, meaning.partOfSpeech].filter(Boolean).join(', ');
+  return `${heading}: ${meaning.definitions[0].definition}${senseCount > 1 ? ` (${senseCount} senses)` : ''}`;
 }
 
 /**
- * Applies dynamic styling based on page contrast
- * @param {HTMLElement} popup - The popup element
- * @param {Object} themeInfo - Theme information and colors
+ * Collects the distinct pronunciations of an entry, one per accent
+ * @param {Object} data - The normalized definition entry
+ * @returns {Array<{accent: string, text: string, audio: string}>} The pronunciations
  */
-function applyDynamicStyling(popup, themeInfo) {
-  const colors = themeInfo.colors;
+function getPronunciations(data) {
+  const pronunciations = [];
   
-  // Apply dynamic colors via inline styles with !important for maximum compatibility
-  popup.style.setProperty('background-color', colors.background, 'important');
-  popup.style.setProperty('color', colors.text, 'important');
-  popup.style.setProperty('border-color', colors.border, 'important');
-  popup.style.setProperty('box-shadow', `0 4px 12px ${colors.shadow}`, 'important');
+  (data.phonetics || []).forEach(item => {
+    // Only http(s) recordings are played
+    const phonetic = { ...item, audio: isSafeUrl(item.audio) ? item.audio : '' };
+    if (!phonetic.text && !phonetic.audio) return;
+    
+    const existing = pronunciations.find(item => item.accent === phonetic.accent);
+    if (existing) {
+      // Fill gaps, e.g. an accent whose text and audio come in separate items
+      existing.text = existing.text || phonetic.text;
+      existing.audio = existing.audio || phonetic.audio;
+    } else {
+      pronunciations.push({ accent: phonetic.accent, text: phonetic.text, audio: phonetic.audio });
+    }
+  });
   
-  // Add theme class for CSS-based styling
-  if (themeInfo.isDark) {
-    popup.classList.add('dictionaread-dark');
-  } else {
-    popup.classList.add('dictionaread-light');
+  // Accent-less transcriptions borrow the headword's main phonetic
+  pronunciations.forEach(item => {
+    item.text = item.text || data.phonetic || '';
+  });
+  
+  if (pronunciations.length === 0 && data.phonetic) {
+    pronunciations.push({ accent: '', text: data.phonetic, audio: '' });
   }
   
-  // Store theme info for potential use by child elements
-  popup._themeInfo = themeInfo;
+  return pronunciations;
+}
+
+/**
+ * Renders the IPA transcription, play button and accent picker under the headword
+ * @param {HTMLElement} container - The pronunciation container
+ * @param {Object} data - The normalized definition entry
+ * @param {string} language - The entry's language code
+ */
+function renderPronunciation(container, data, language) {
+  const pronunciations = getPronunciations(data);
+  const selected = pronunciations.find(item => item.accent && item.accent === preferredAccent) ||
+                   pronunciations.find(item => item.audio) ||
+                   pronunciations[0];
   
-  // Ensure all child elements inherit the text color
-  setTimeout(() => {
-    const allTextElements = popup.querySelectorAll('*');
-    allTextElements.forEach(element => {
-      if (!element.style.color || element.style.color === '') {
-        element.style.setProperty('color', 'inherit', 'important');
-      }
+  container.replaceChildren();
+  
+  const playButton = document.createElement('button');
+  playButton.className = 'dictionaread-play';
+  playButton.setAttribute('aria-label', `Play pronunciation of ${data.word}`);
+  playButton.setAttribute('aria-keyshortcuts', 'A');
+  playButton.textContent = '🔊';
+  playButton.addEventListener('click', () => {
+    playPronunciation(data.word, selected || { accent: preferredAccent, audio: '' }, language);
+  });
+  
+  if (selected?.text) {
+    const ipa = document.createElement('span');
+    ipa.className = 'dictionaread-ipa';
+    ipa.textContent = selected.text;
+    container.appendChild(ipa);
+  }
+  container.appendChild(playButton);
+  
+  // Offer an accent picker when more than one accent is available
+  const accents = pronunciations.filter(item => item.accent);
+  if (accents.length > 1) {
+    const picker = document.createElement('span');
+    picker.className = 'dictionaread-accents';
+    picker.setAttribute('role', 'group');
+    picker.setAttribute('aria-label', 'Accent');
+    
+    accents.forEach(item => {
+      const accentButton = document.createElement('button');
+      accentButton.className = 'dictionaread-accent';
+      accentButton.textContent = ACCENT_LABELS[item.accent] || item.accent.toUpperCase();
+      accentButton.setAttribute('aria-pressed', String(item === selected));
+      accentButton.addEventListener('click', async () => {
+        preferredAccent = item.accent;
+        renderPronunciation(container, data, language);
+        await chrome.storage.local.set({ preferredAccent: item.accent });
+      });
+      picker.appendChild(accentButton);
     });
-  }, 0);
+    
+    container.appendChild(picker);
+  }
 }
 
 /**
- * Detects if the current page has a dark theme and calculates optimal contrast colors
- * @returns {Object} Object containing theme info and optimal colors
+ * Plays a pronunciation recording, falling back to speech synthesis
+ * Recordings can be missing or blocked by the page's media policy
+ * @param {string} word - The headword
+ * @param {Object} pronunciation - The pronunciation to play
+ * @param {string} language - The entry's language code, used to pick a speech voice
  */
-function detectThemeAndContrast() {
-  const bodyStyle = window.getComputedStyle(document.body);
-  const backgroundColor = bodyStyle.backgroundColor;
+function playPronunciation(word, pronunciation, language) {
+  if (currentAudio) {
+    currentAudio.pause();
+    currentAudio = null;
+  }
   
-  // Parse RGB values
-  const rgbMatch = backgroundColor.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/);
-  let brightness = 255; // Default to light
+  const speak = () => {
+    chrome.runtime.sendMessage({
+      action: 'speak',
+      text: word,
+      lang: language === 'en' ? ACCENT_SPEECH_LANGS[pronunciation.accent] || 'en-US' : language
+    }).catch(error => console.error('Error requesting speech synthesis:', error));
+  };
   
-  if (rgbMatch) {
-    const [, r, g, b] = rgbMatch.map(Number);
-    // Calculate brightness (0-255)
-    brightness = (r * 299 + g * 587 + b * 114) / 1000;
+  if (!pronunciation.audio) {
+    speak();
+    return;
   }
   
-  // Check for common dark theme indicators
-  const isDarkTheme = brightness < 128 || 
-                      document.body.classList.contains('dark') || 
-                      document.documentElement.classList.contains('dark') ||
-                      backgroundColor.includes('rgb(0, 0, 0)') ||
-                      backgroundColor.includes('rgb(20, 20, 20)');
+  currentAudio = new Audio(pronunciation.audio);
+  currentAudio.play().catch(error => {
+    console.log('Pronunciation audio failed, using speech synthesis:', error.message);
+    speak();
+  });
+}
+
+/**
+ * Shows an error popup with fallback to Google search
+ * @param {string} error - The error message
+ * @param {string} selectedText - The original selected text (optional)
+ * @param {Object} target - Where the error goes (see getLookupTarget)
+ */
+function showErrorPopup(error, selectedText = '', target = { anchor: null, takesFocus: true, inBubble: false }) {
+  showDefinitionPopup(selectedText, { success: false, error: error }, target);
+}
+
+/**
+ * Creates a host element with a closed shadow root holding the bubble styles
+ * Page styles cannot reach inside, and our styles cannot leak out
+ * @returns {{host: HTMLElement, shadowRoot: ShadowRoot}} The host and its shadow root
+ */
+function createShadowHost() {
+  const host = document.createElement(BUBBLE_HOST_TAG);
+  
+  // Inline so page rules for unknown elements cannot hide or move the host; it covers the
+  // viewport, so the bubble can take its full width, but lets the pointer through
+  host.style.setProperty('all', 'initial', 'important');
+  host.style.setProperty('position', 'fixed', 'important');
+  host.style.setProperty('inset', '0', 'important');
+  host.style.setProperty('pointer-events', 'none', 'important');
+  host.style.setProperty('z-index', '2147483647', 'important');
   
-  // Calculate optimal contrast colors
-  const contrastColors = calculateContrastColors(brightness, isDarkTheme);
+  const shadowRoot = host.attachShadow({ mode: 'closed' });
+  const style = document.createElement('style');
+  style.textContent = bubbleStyles;
+  if (!bubbleStyles) {
+    bubbleStylesReady.then(css => {
+      style.textContent = css;
+    });
+  }
+  shadowRoot.appendChild(style);
   
-  return {
-    isDark: isDarkTheme,
-    brightness: brightness,
-    colors: contrastColors
-  };
+  return { host, shadowRoot };
 }
 
 /**
- * Calculates optimal contrast colors based on page brightness
- * @param {number} brightness - Page brightness (0-255)
- * @param {boolean} isDark - Whether page is dark themed
- * @returns {Object} Object containing optimal colors
+ * Creates the base popup element with proper styling
+ * The popup lives in its own shadow root; popup._host is the element placed in the page
+ * @param {Range|Element|null} anchor - The text selection range, the text field holding
+ *   the selection, or null; the "auto" theme contrasts with the background behind it
+ * @returns {HTMLElement} The popup element
  */
-function calculateContrastColors(brightness, isDark) {
-  // For very light backgrounds (brightness > 200)
-  if (brightness > 200) {
-    return {
-      background: '#2c3e50', // Dark blue-gray
-      text: '#ffffff',       // White text
-      border: '#34495e',     // Slightly lighter border
-      shadow: 'rgba(0, 0, 0, 0.3)'
-    };
-  }
+function createPopupElement(anchor) {
+  const { host, shadowRoot } = createShadowHost();
+  const popup = document.createElement('div');
+  popup.className = 'dictionaread-popup';
+  popup.setAttribute('role', 'dialog');
+  popup.setAttribute('aria-label', 'Dictionary definition');
+  popup.tabIndex = -1; // Focused when it opens, without joining the Tab order
   
-  // For medium-light backgrounds (brightness 128-200)
-  if (brightness > 128) {
-    return {
-      background: '#34495e', // Medium dark
-      text: '#ecf0f1',       // Light gray text
-      border: '#2c3e50',     // Darker border
-      shadow: 'rgba(0, 0, 0, 0.25)'
-    };
-  }
+  // Apply the theme (or the contrast with the text's background), font size and width settings
+  const anchorNode = anchor instanceof Range ? anchor.commonAncestorContainer : anchor;
+  applyBubbleSettings(popup, extensionSettings, anchorNode);
   
-  // For dark backgrounds (brightness < 128)
-  return {
-    background: '#ffffff',   // White background
-    text: '#2c3e50',         // Dark text
-    border: '#e9ecef',       // Light border
-    shadow: 'rgba(0, 0, 0, 0.15)'
-  };
+  shadowRoot.appendChild(popup);
+  popup._host = host;
+  
+  return popup;
 }
 
 /**
- * Positions the popup above or below the selected text to avoid covering it
+ * Positions the popup next to the selected text, or places it again after its content
+ * changed, and keeps it there as the page scrolls and reflows (see bubble-anchor.js)
  * @param {HTMLElement} popup - The popup element
- * @param {Range} selection - The text selection range
+ * @param {Range|Element|null} selection - The text selection range, the text field holding
+ *   the selection, or null to center the popup in the viewport
  */
 function positionPopup(popup, selection) {
-  const rect = selection.getBoundingClientRect();
-  const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-  const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
-  
-  // First, position the popup temporarily to calculate its dimensions
-  popup.style.visibility = 'hidden';
-  popup.style.top = '0px';
-  popup.style.left = '0px';
-  document.body.appendChild(popup);
-  
-  // Get popup dimensions after it's rendered
-  const popupRect = popup.getBoundingClientRect();
-  const popupHeight = popupRect.height;
-  const popupWidth = popupRect.width;
-  
-  // Calculate available space above and below the selection
-  const spaceAbove = rect.top;
-  const spaceBelow = window.innerHeight - rect.bottom;
-  const margin = 5; // Reduced margin for tighter positioning
-  
-  // Determine best position: above or below
-  let positionAbove = true;
-  let finalTop, finalLeft;
-  
-  if (spaceAbove >= popupHeight + margin) {
-    // Enough space above - position above the selection
-    positionAbove = true;
-    finalTop = rect.top + scrollTop - popupHeight - margin;
-  } else if (spaceBelow >= popupHeight + margin) {
-    // Not enough space above, but enough below - position below
-    positionAbove = false;
-    finalTop = rect.bottom + scrollTop + margin;
-  } else {
-    // Not enough space in either direction - choose the side with more space
-    if (spaceAbove > spaceBelow) {
-      positionAbove = true;
-      finalTop = Math.max(10, rect.top + scrollTop - popupHeight - margin);
-    } else {
-      positionAbove = false;
-      finalTop = Math.min(
-        window.innerHeight + scrollTop - popupHeight - 10,
-        rect.bottom + scrollTop + margin
-      );
-    }
+  // The host is fixed to the viewport, outside the body so its overflow cannot clip the bubble
+  if (!popup._host.isConnected) {
+    document.documentElement.appendChild(popup._host);
   }
   
-  // Calculate horizontal position (center on selection, but keep within viewport)
-  finalLeft = rect.left + scrollLeft + (rect.width / 2) - (popupWidth / 2);
+  // Text a single-page app replaced takes its unpinned bubble with it
+  followAnchor(popup, selection, () => {
+    if (popup === currentPopup) {
+      closeBubble();
+    }
+  });
+}
+
+/**
+ * Shows a short-lived notice, e.g. after switching between define and translate
+ * @param {string} text - The notice text
+ */
+function showNotice(text) {
+  currentNoticeHost?.remove();
   
-  // Ensure popup stays within viewport horizontally
-  const viewportWidth = window.innerWidth;
-  const minLeft = 10;
-  const maxLeft = viewportWidth - popupWidth - 10;
+  const { host, shadowRoot } = createShadowHost();
+  const notice = document.createElement('div');
+  notice.className = 'dictionaread-notice';
+  notice.setAttribute('role', 'status');
+  notice.textContent = text;
+  shadowRoot.appendChild(notice);
+  document.documentElement.appendChild(host);
+  currentNoticeHost = host;
   
-  if (finalLeft < minLeft) {
-    finalLeft = minLeft;
-  } else if (finalLeft > maxLeft) {
-    finalLeft = maxLeft;
+  setTimeout(() => host.remove(), 2000);
+}
+
+/**
+ * Announces text to screen readers through a live region that stays in the page, so the
+ * change from the loading bubble to the result is heard although the bubble is replaced
+ * @param {string} text - The announcement
+ */
+function announce(text) {
+  if (!liveRegion?.isConnected) {
+    const { host, shadowRoot } = createShadowHost();
+    liveRegion = createBubbleElement('div', {
+      className: 'dictionaread-visually-hidden',
+      attributes: { role: 'status', 'aria-live': 'polite' }
+    });
+    shadowRoot.appendChild(liveRegion);
+    document.documentElement.appendChild(host);
   }
   
-  // Apply final positioning
-  popup.style.top = `${finalTop}px`;
-  popup.style.left = `${finalLeft}px`;
-  popup.style.visibility = 'visible';
-  
-  // Add a class to indicate positioning for potential styling adjustments
-  if (positionAbove) {
-    popup.classList.add('dictionaread-positioned-above');
-    popup.classList.remove('dictionaread-positioned-below');
-  } else {
-    popup.classList.add('dictionaread-positioned-below');
-    popup.classList.remove('dictionaread-positioned-above');
-  }
+  // Cleared first and filled a moment later, so repeated text is announced again
+  const region = liveRegion;
+  region.textContent = '';
+  setTimeout(() => {
+    region.textContent = text;
+  }, 100);
 }
 
 /**
- * Formats the dictionary API response into readable HTML
- * @param {Object} data - The dictionary data from the API
- * @returns {string} Formatted HTML
+ * Wires up homograph tabs and related-word chips inside the definition popup
+ * @param {HTMLElement} popup - The popup element
+ * @param {string} language - The entry's language code, used for related-word lookups
  */
-function formatDefinition(data) {
-  if (!data.meanings || data.meanings.length === 0) {
-    return '<p>No definition available</p>';
-  }
+function setupEntryControls(popup, language) {
+  // Switch between homographs, or between the parts of a phrase with all their homographs
+  popup.querySelectorAll('.dictionaread-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+      const key = tab.dataset.segmentIndex !== undefined ? 'segmentIndex' : 'entryIndex';
+      const index = tab.dataset[key];
+      popup.querySelectorAll('.dictionaread-tab').forEach(other => {
+        other.setAttribute('aria-selected', String(other === tab));
+      });
+      popup.querySelectorAll('.dictionaread-entry').forEach(panel => {
+        panel.hidden = panel.dataset[key] !== index;
+      });
+    });
+  });
   
-  let html = '';
+  // Look up a synonym or antonym
+  popup.querySelectorAll('.dictionaread-chip').forEach(chip => {
+    chip.addEventListener('click', () => lookupFromBubble(chip.dataset.word, language));
+  });
   
-  data.meanings.forEach((meaning, index) => {
-    if (index > 0) html += '<hr class="dictionaread-separator">';
-    
-    html += `<div class="dictionaread-meaning-item">`;
-    
-    // Part of speech
-    if (meaning.partOfSpeech) {
-      html += `<div class="dictionaread-part-of-speech">${meaning.partOfSpeech}</div>`;
-    }
+  // Senses take focus from the arrow keys
+  popup.querySelectorAll('.dictionaread-definition-item').forEach(sense => {
+    sense.tabIndex = -1;
+  });
+}
+
+/**
+ * Turns every word of the definitions and examples into a clickable word that is looked
+ * up in the bubble; the text is split with textContent only, never parsed
+ * @param {HTMLElement} popup - The popup element
+ */
+function makeWordsClickable(popup) {
+  popup.querySelectorAll('.dictionaread-definition-text, .dictionaread-example').forEach(element => {
+    const text = element.textContent;
+    const nodes = [];
+    let end = 0;
     
-    // Definitions
-    if (meaning.definitions && meaning.definitions.length > 0) {
-      html += '<div class="dictionaread-definitions">';
-      meaning.definitions.slice(0, 3).forEach((def, defIndex) => { // Limit to 3 definitions
-        html += `<div class="dictionaread-definition-item">`;
-        html += `<span class="dictionaread-definition-number">${defIndex + 1}.</span>`;
-        html += `<span class="dictionaread-definition-text">${def.definition}</span>`;
-        html += '</div>';
-      });
-      html += '</div>';
+    for (const match of text.matchAll(/[\p{L}\p{M}\p{N}]+(?:['\u2019-][\p{L}\p{M}\p{N}]+)*/gu)) {
+      if (!/\p{L}/u.test(match[0])) continue;
+      
+      nodes.push(text.slice(end, match.index));
+      nodes.push(createBubbleElement('span', { className: 'dictionaread-lookup-word', text: match[0] }));
+      end = match.index + match[0].length;
     }
+    nodes.push(text.slice(end));
     
-    html += '</div>';
+    element.replaceChildren(...nodes.filter(Boolean));
+  });
+}
+
+/**
+ * Looks up a word from inside the bubble; the result joins the bubble's lookup stack
+ * @param {string} word - The word
+ * @param {string} language - The language of the entry it came from
+ */
+function lookupFromBubble(word, language) {
+  const anchorId = rememberAnchor(currentSelection, { inBubble: true });
+  chrome.runtime.sendMessage({ action: 'lookupWord', word: word, language: language, anchorId: anchorId })
+    .catch(error => console.error('Error requesting lookup:', error));
+}
+
+/**
+ * Wires up the copy and pin buttons, and describes the bubble's keys to screen readers
+ * @param {HTMLElement} popup - The popup element
+ * @param {Object} definition - The definition or translation result
+ * @param {Array<Object>} entries - The normalized definition entries, one per panel
+ */
+function setupBubbleActions(popup, definition, entries) {
+  const isTranslation = definition.mode === 'translate';
+  const copyTexts = isTranslation ? [definition.translatedText] : entries.map(formatEntryText);
+  
+  const copyButton = popup.querySelector('.dictionaread-copy');
+  copyButton.addEventListener('click', async () => {
+    const text = getVisibleEntryIndexes(popup).map(index => copyTexts[index]).filter(Boolean).join('\n\n');
+    const copied = await copyToClipboard(text, popup);
+    copyButton.textContent = copied ? 'Copied' : 'Copy failed';
+    announce(copied ? 'Copied' : 'Could not copy');
+    setTimeout(() => {
+      copyButton.textContent = 'Copy';
+    }, 1500);
+  });
+  
+  // A pinned bubble stays open until it is closed or the next lookup replaces it
+  const pinButton = popup.querySelector('.dictionaread-pin');
+  pinButton.setAttribute('aria-pressed', String(Boolean(popup._pinned)));
+  pinButton.addEventListener('click', () => {
+    popup._pinned = !popup._pinned;
+    pinButton.setAttribute('aria-pressed', String(popup._pinned));
+    announce(popup._pinned ? 'Bubble pinned' : 'Bubble unpinned');
   });
   
-  return html;
+  const help = createBubbleElement('p', {
+    className: 'dictionaread-visually-hidden',
+    text: (isTranslation
+      ? 'C copies the translation, P pins the bubble, Escape closes it.'
+      : 'Arrow keys move between senses. C copies the definition, A plays the pronunciation, ' +
+        'P pins the bubble, O opens the full entry, Escape closes it.') +
+      (lookupStack.length > 1 ? ' Alt+Left and Alt+Right go back and forward through the words looked up here.' : ''),
+    attributes: { id: 'dictionaread-keys' }
+  });
+  popup.append(help);
+  popup.setAttribute('aria-describedby', help.id);
+}
+
+/**
+ * Gets the indexes of the entries the bubble shows: one homograph, or every homograph of
+ * the phrase part shown
+ * @param {HTMLElement} popup - The popup element
+ * @returns {Array<number>} The visible entry panels' indexes, [0] without panels
+ */
+function getVisibleEntryIndexes(popup) {
+  const panels = [...popup.querySelectorAll('.dictionaread-entry:not([hidden])')];
+  return panels.length > 0 ? panels.map(panel => Number(panel.dataset.entryIndex)) : [0];
+}
+
+/**
+ * Copies text to the clipboard
+ * The Clipboard API needs a secure page; elsewhere a hidden text area and the copy
+ * command are used, and focus goes back to the control that had it
+ * @param {string} text - The text to copy
+ * @param {HTMLElement} popup - The popup element, which holds the text area meanwhile
+ * @returns {Promise<boolean>} True if the text was copied
+ */
+async function copyToClipboard(text, popup) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (error) {
+    console.log('Clipboard API unavailable, using the copy command:', error.message);
+  }
+  
+  const previousFocus = popup.getRootNode().activeElement;
+  const field = createBubbleElement('textarea', { className: 'dictionaread-visually-hidden' });
+  field.value = text;
+  popup.append(field);
+  field.focus({ preventScroll: true });
+  field.select();
+  
+  const copied = document.execCommand('copy');
+  field.remove();
+  previousFocus?.focus({ preventScroll: true });
+  return copied;
 }
 
 /**
@@ -407,13 +771,34 @@ function setupPopupEventListeners(popup) {
   // Close button
   const closeButton = popup.querySelector('.dictionaread-close');
   if (closeButton) {
-    closeButton.addEventListener('click', removeCurrentPopup);
+    closeButton.addEventListener('click', closeBubble);
   }
   
+  // Keyboard control while the bubble has focus
+  popup.addEventListener('keydown', handleBubbleKey);
+  
+  // Keep the page selection (the popup's anchor) when buttons are pressed
+  popup.addEventListener('mousedown', (event) => {
+    if (event.target.closest('button, summary')) {
+      event.preventDefault();
+    }
+  });
+  
+  // Look up a word clicked in a definition, unless text in the bubble is being selected
+  popup.addEventListener('click', (event) => {
+    const word = event.target.closest('.dictionaread-lookup-word');
+    if (!word) return;
+    
+    const range = getSelectionRange();
+    if (!range || range.collapsed || !isInBubble(range)) {
+      lookupFromBubble(word.textContent, popup._language);
+    }
+  });
+  
   // ESC key listener
   const escHandler = (event) => {
     if (event.key === 'Escape' && isPopupVisible) {
-      removeCurrentPopup();
+      closeBubble();
     }
   };
   
@@ -422,10 +807,10 @@ function setupPopupEventListeners(popup) {
   // Store the handler for cleanup
   popup._escHandler = escHandler;
   
-  // Click outside to close
+  // Click outside to close, unless pinned; a closed shadow root only exposes its host in the event path
   const clickHandler = (event) => {
-    if (isPopupVisible && !popup.contains(event.target)) {
-      removeCurrentPopup();
+    if (isPopupVisible && !popup._pinned && !event.composedPath().includes(popup._host)) {
+      closeBubble();
     }
   };
   
@@ -433,11 +818,183 @@ function setupPopupEventListeners(popup) {
   popup._clickHandler = clickHandler;
 }
 
+/**
+ * Closes a finished bubble on scroll or after a delay, as the auto-dismiss setting asks
+ * The delay pauses while the pointer or focus is inside the bubble; pinned bubbles stay
+ * @param {HTMLElement} popup - The popup element
+ */
+function setupAutoDismiss(popup) {
+  const dismiss = () => {
+    if (!popup._pinned) {
+      closeBubble();
+    }
+  };
+  
+  if (extensionSettings.autoDismiss === 'scroll') {
+    const scrollHandler = dismiss;
+    window.addEventListener('scroll', scrollHandler, { passive: true });
+    popup._scrollHandler = scrollHandler;
+  } else if (extensionSettings.autoDismiss === 'delay') {
+    const startTimer = () => {
+      clearTimeout(popup._dismissTimer);
+      popup._dismissTimer = setTimeout(dismiss, extensionSettings.autoDismissDelay * 1000);
+    };
+    const stopTimer = () => clearTimeout(popup._dismissTimer);
+    
+    popup.addEventListener('mouseenter', stopTimer);
+    popup.addEventListener('mouseleave', startTimer);
+    popup.addEventListener('focusin', stopTimer);
+    startTimer();
+  }
+}
+
+/**
+ * Moves keyboard focus into the bubble, remembering where it was
+ * Across a chain of bubbles (e.g. a synonym looked up from the bubble) the first place is kept
+ * @param {HTMLElement} popup - The popup element
+ */
+function focusBubble(popup) {
+  if (!focusReturnTarget) {
+    let element = document.activeElement;
+    while (element?.shadowRoot?.activeElement) {
+      element = element.shadowRoot.activeElement;
+    }
+    focusReturnTarget = element !== document.body ? element : null;
+  }
+  
+  popup.focus({ preventScroll: true });
+}
+
+/**
+ * Closes the bubble and, if it had focus, returns focus to where it was before; the page
+ * selection is left as it was. Bubbles replaced by the next one use removeCurrentPopup
+ */
+function closeBubble() {
+  const hadFocus = Boolean(currentPopup && document.activeElement === currentPopup._host);
+  removeCurrentPopup();
+  
+  if (hadFocus && focusReturnTarget?.isConnected) {
+    focusReturnTarget.focus({ preventScroll: true });
+  }
+  focusReturnTarget = null;
+}
+
+/**
+ * Handles keys pressed while focus is in the bubble: Tab and Shift+Tab cycle through its
+ * controls, the up and down arrows move between senses, the left and right arrows between
+ * tabs, Alt+Left and Alt+Right go back and forward, and C, A, P and O press the copy,
+ * play, pin and full entry controls
+ * Escape is handled by the document listener, so it also closes a bubble without focus
+ * @param {KeyboardEvent} event - The keydown event
+ */
+function handleBubbleKey(event) {
+  const popup = event.currentTarget;
+  
+  // Back and forward, instead of the page's history while there is a lookup trail
+  if (event.altKey && (event.key === 'ArrowLeft' || event.key === 'ArrowRight')) {
+    const button = popup.querySelector(event.key === 'ArrowLeft' ? '.dictionaread-back' : '.dictionaread-forward');
+    if (button) {
+      event.preventDefault();
+      event.stopPropagation();
+      button.click();
+    }
+    return;
+  }
+  if (event.ctrlKey || event.metaKey || event.altKey) return;
+  
+  const active = popup.getRootNode().activeElement;
+  const shortcut = BUBBLE_SHORTCUTS[event.key.toLowerCase()];
+  let handled = true;
+  
+  if (event.key === 'Tab') {
+    moveBubbleFocus(popup, active, event.shiftKey);
+  } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    handled = moveSenseFocus(popup, active, event.key === 'ArrowDown' ? 1 : -1);
+  } else if ((event.key === 'ArrowRight' || event.key === 'ArrowLeft') && active?.matches('[role="tab"]')) {
+    moveTabFocus(active, event.key === 'ArrowRight' ? 1 : -1);
+  } else if (shortcut) {
+    const control = getVisibleElements(popup, shortcut)[0];
+    control?.click();
+    handled = Boolean(control);
+  } else {
+    handled = false;
+  }
+  
+  // Keep handled keys from the page's own shortcuts
+  if (handled) {
+    event.preventDefault();
+    event.stopPropagation();
+  }
+}
+
+/**
+ * Lists the elements matching a selector that are shown, leaving out hidden entry panels
+ * and collapsed "more senses"
+ * @param {HTMLElement} popup - The popup element
+ * @param {string} selector - The selector
+ * @returns {Array<Element>} The visible elements, in document order
+ */
+function getVisibleElements(popup, selector) {
+  return Array.from(popup.querySelectorAll(selector)).filter(element => element.getClientRects().length > 0);
+}
+
+/**
+ * Moves focus to the next or previous control, wrapping around so Tab stays in the bubble
+ * @param {HTMLElement} popup - The popup element
+ * @param {Element|null} active - The focused element in the bubble
+ * @param {boolean} backwards - True for Shift+Tab
+ */
+function moveBubbleFocus(popup, active, backwards) {
+  const controls = getVisibleElements(popup, 'button, a[href], summary');
+  if (controls.length === 0) return;
+  
+  // From the bubble itself or a sense, continue from its place in the bubble
+  const position = element => (active ? active.compareDocumentPosition(element) : Node.DOCUMENT_POSITION_FOLLOWING);
+  const next = backwards
+    ? controls.filter(element => position(element) & Node.DOCUMENT_POSITION_PRECEDING).pop()
+    : controls.find(element => position(element) & Node.DOCUMENT_POSITION_FOLLOWING);
+  
+  (next || (backwards ? controls[controls.length - 1] : controls[0])).focus();
+}
+
+/**
+ * Moves focus to the next or previous visible sense
+ * @param {HTMLElement} popup - The popup element
+ * @param {Element|null} active - The focused element in the bubble
+ * @param {number} step - 1 for the next sense, -1 for the previous one
+ * @returns {boolean} True if a sense took focus; false without senses, e.g. in a translation
+ */
+function moveSenseFocus(popup, active, step) {
+  const senses = getVisibleElements(popup, '.dictionaread-definition-item');
+  if (senses.length === 0) return false;
+  
+  const current = senses.indexOf(active?.closest('.dictionaread-definition-item'));
+  const next = current === -1
+    ? (step > 0 ? 0 : senses.length - 1)
+    : Math.min(senses.length - 1, Math.max(0, current + step));
+  senses[next].focus();
+  return true;
+}
+
+/**
+ * Selects and focuses the next or previous tab, wrapping around
+ * @param {Element} tab - The focused tab
+ * @param {number} step - 1 for the next tab, -1 for the previous one
+ */
+function moveTabFocus(tab, step) {
+  const tabs = Array.from(tab.parentElement.querySelectorAll('[role="tab"]'));
+  const next = tabs[(tabs.indexOf(tab) + step + tabs.length) % tabs.length];
+  next.click();
+  next.focus();
+}
+
 /**
  * Removes the current popup and cleans up event listeners
  */
 function removeCurrentPopup() {
   if (currentPopup) {
+    stopFollowingAnchor();
+    
     // Remove event listeners
     if (currentPopup._escHandler) {
       document.removeEventListener('keydown', currentPopup._escHandler);
@@ -445,16 +1002,317 @@ function removeCurrentPopup() {
     if (currentPopup._clickHandler) {
       document.removeEventListener('click', currentPopup._clickHandler);
     }
+    if (currentPopup._scrollHandler) {
+      window.removeEventListener('scroll', currentPopup._scrollHandler);
+    }
+    clearTimeout(currentPopup._dismissTimer);
     
     // Remove from DOM
-    if (currentPopup.parentNode) {
-      currentPopup.parentNode.removeChild(currentPopup);
+    if (currentPopup._host.parentNode) {
+      currentPopup._host.parentNode.removeChild(currentPopup._host);
     }
     
     currentPopup = null;
     currentSelection = null;
     isPopupVisible = false;
+    lookupStack = [];
+    lookupIndex = -1;
+  }
+}
+
+/**
+ * Looks up the word selected by a double-click
+ * @param {MouseEvent} event - The dblclick event
+ */
+function handleDoubleClick(event) {
+  if (!extensionSettings.triggerDoubleClick || !isEnabledHere() || isInsideBubble(event)) return;
+  
+  // The original target, in case the click landed inside a shadow root
+  if (isEditable(event.composedPath()[0])) return;
+  
+  const range = getSelectionRange();
+  const text = range ? range.toString().trim() : '';
+  if (!text) return;
+  
+  requestLookup(getRangeContext(range, text), range, false);
+}
+
+/**
+ * Schedules a lookup of the word under the pointer while the hover modifier is held
+ * @param {MouseEvent} event - The mousemove event
+ */
+function handleHoverMove(event) {
+  if (!extensionSettings.triggerHover || !isEnabledHere()) return;
+  
+  lastPointer = { x: event.clientX, y: event.clientY };
+  clearTimeout(hoverTimer);
+  
+  if (!event.getModifierState(extensionSettings.hoverModifier)) {
+    lastHoverWord = '';
+    return;
+  }
+  if (isInsideBubble(event)) return;
+  
+  hoverTimer = setTimeout(() => lookupWordAtPoint(lastPointer.x, lastPointer.y), HOVER_DELAY);
+}
+
+/**
+ * Looks up the word under a resting pointer when the hover modifier is pressed
+ * @param {KeyboardEvent} event - The keydown event
+ */
+function handleHoverKey(event) {
+  if (!extensionSettings.triggerHover || !lastPointer || event.repeat || !isEnabledHere()) return;
+  if (event.key !== extensionSettings.hoverModifier) return;
+  
+  clearTimeout(hoverTimer);
+  lastHoverWord = '';
+  hoverTimer = setTimeout(() => lookupWordAtPoint(lastPointer.x, lastPointer.y), HOVER_DELAY);
+}
+
+/**
+ * Looks up the word at a point, unless it was the last word looked up by hovering
+ * @param {number} x - The viewport x coordinate
+ * @param {number} y - The viewport y coordinate
+ */
+function lookupWordAtPoint(x, y) {
+  const range = getWordRangeAtPoint(x, y);
+  if (!range) return;
+  
+  const text = range.toString();
+  if (text === lastHoverWord) return;
+  
+  lastHoverWord = text;
+  requestLookup(getRangeContext(range, text), range, true);
+}
+
+/**
+ * Finds the word under a point using the caret position the browser reports there
+ * @param {number} x - The viewport x coordinate
+ * @param {number} y - The viewport y coordinate
+ * @returns {Range|null} A range around the word, or null when the point is not over one
+ */
+function getWordRangeAtPoint(x, y) {
+  let node = null;
+  let offset = 0;
+  
+  // caretPositionFromPoint can look into open shadow roots; caretRangeFromPoint stops at their hosts
+  if (document.caretPositionFromPoint) {
+    const caret = document.caretPositionFromPoint(x, y, { shadowRoots: getShadowRootsAtPoint(x, y) });
+    node = caret?.offsetNode;
+    offset = caret?.offset || 0;
+  } else if (document.caretRangeFromPoint) {
+    const caret = document.caretRangeFromPoint(x, y);
+    node = caret?.startContainer;
+    offset = caret?.startOffset || 0;
+  }
+  
+  if (!node || node.nodeType !== Node.TEXT_NODE || isEditable(node.parentElement)) return null;
+  
+  // Expand from the caret to the word boundaries, leaving out edge apostrophes and hyphens
+  const text = node.data;
+  const isWordChar = char => /[\p{L}\p{M}\p{N}'\u2019-]/u.test(char);
+  let start = offset;
+  let end = offset;
+  while (start > 0 && isWordChar(text[start - 1])) start--;
+  while (end < text.length && isWordChar(text[end])) end++;
+  while (start < end && /['\u2019-]/.test(text[start])) start++;
+  while (end > start && /['\u2019-]/.test(text[end - 1])) end--;
+  
+  if (start === end) return null;
+  
+  const range = document.createRange();
+  range.setStart(node, start);
+  range.setEnd(node, end);
+  
+  // The caret snaps to the nearest text, so make sure the pointer is really over the word
+  const isOverWord = Array.from(range.getClientRects()).some(rect =>
+    x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom
+  );
+  return isOverWord ? range : null;
+}
+
+/**
+ * Schedules the saved definition of the underlined word under a resting pointer
+ * @param {MouseEvent} event - The mousemove event
+ */
+function handleSavedWordHover(event) {
+  if (!isHighlightingSavedWords() || isInsideBubble(event)) return;
+  
+  clearTimeout(savedWordTimer);
+  
+  // Holding the hover modifier looks the word up afresh instead
+  if (extensionSettings.triggerHover && event.getModifierState(extensionSettings.hoverModifier)) return;
+  
+  const { clientX: x, clientY: y } = event;
+  savedWordTimer = setTimeout(() => showSavedWordAtPoint(x, y), HOVER_DELAY);
+}
+
+/**
+ * Shows the saved definition of the underlined word at a point, straight from the
+ * history, without a dictionary request
+ * @param {number} x - The viewport x coordinate
+ * @param {number} y - The viewport y coordinate
+ */
+function showSavedWordAtPoint(x, y) {
+  const match = getSavedWordAtPoint(x, y);
+  if (!match || (isPopupVisible && lastSavedWord === match.entry.id) || currentPopup?._pinned) return;
+  
+  lastSavedWord = match.entry.id;
+  showDefinitionPopup(match.range.toString(), {
+    success: true,
+    word: match.entry.word,
+    language: match.entry.language,
+    source: { id: 'history', name: 'My words' },
+    data: match.entry.definition
+  }, { anchor: match.range.cloneRange(), takesFocus: false, inBubble: false });
+}
+
+/**
+ * Starts or stops underlining saved words, following the settings and the site rules
+ */
+async function updateHighlighting() {
+  const isWanted = extensionSettings.highlightWords && isEnabledHere() &&
+    getMatchingSiteRules(location.hostname, extensionSettings.highlightExcludedSites).length === 0;
+  
+  if (!isWanted) {
+    stopHighlightingSavedWords();
+    return;
+  }
+  
+  try {
+    startHighlightingSavedWords(await getHistory());
+  } catch (error) {
+    console.error('Error loading saved words:', error);
+  }
+}
+
+/**
+ * Checks whether lookups may run on this page: the extension is on and the site rules allow it
+ * The content script may be loaded where the rules say no, when a rule uses a wildcard
+ * that match patterns cannot express or when the rules changed after the page loaded
+ * @returns {boolean} True if lookups are allowed here
+ */
+function isEnabledHere() {
+  return extensionSettings.extensionEnabled && isSiteEnabled(location.href, extensionSettings);
+}
+
+/**
+ * Checks whether an event happened inside the bubble
+ * @param {Event} event - The event
+ * @returns {boolean} True if the bubble is in the event path
+ */
+function isInsideBubble(event) {
+  return Boolean(currentPopup && event.composedPath().includes(currentPopup._host));
+}
+
+/**
+ * Checks whether an element is a text field or editable region, where double-clicks and
+ * hovering are for editing
+ * @param {Element} element - The element
+ * @returns {boolean} True if the element is editable
+ */
+function isEditable(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) return false;
+  return element.isContentEditable || Boolean(element.closest('input, textarea, select'));
+}
+
+/**
+ * Sends text found in the page to the background lookup pipeline
+ * @param {Object} selection - The text, its sentence, paragraph and language
+ * @param {Range} range - The text's range, for the bubble to point at
+ * @param {boolean} isHover - True for a hovered word, whose bubble leaves focus in the page
+ */
+function requestLookup(selection, range, isHover) {
+  const anchorId = rememberAnchor(range, { isHover: isHover });
+  chrome.runtime.sendMessage({ action: 'lookupSelection', selection: { ...selection, anchorId: anchorId } })
+    .catch(error => console.error('Error requesting lookup:', error));
+}
+
+/**
+ * Remembers what the bubble of an in-page lookup should point at
+ * Hovered words are not selected, so the bubble cannot fall back on the page selection
+ * @param {Range|Element|null} anchor - The range or text field
+ * @param {Object} options - What kind of lookup it is
+ * @param {boolean} options.isHover - True for a hovered word
+ * @param {boolean} options.inBubble - True for a word looked up inside the bubble
+ * @returns {number} The anchor's ID, sent along with the lookup
+ */
+function rememberAnchor(anchor, { isHover = false, inBubble = false } = {}) {
+  // A copy, as the page selection's own range changes with the selection
+  const saved = anchor instanceof Range ? anchor.cloneRange() : anchor;
+  const id = nextAnchorId++;
+  lookupAnchors.set(id, { anchor: saved, isHover: isHover, inBubble: inBubble });
+  
+  // Lookups overtaken by newer ones keep their anchor until their result arrives
+  if (lookupAnchors.size > MAX_LOOKUP_ANCHORS) {
+    lookupAnchors.delete(lookupAnchors.keys().next().value);
   }
+  return id;
+}
+
+/**
+ * Remembers what the bubble should point at when the shortcut or the right-click menu reads
+ * the selection (see getSelectionContext), so the result still finds the text when the
+ * selection is gone by the time it arrives
+ * @returns {number} The anchor's ID, sent along with the lookup
+ */
+function rememberSelectionAnchor() {
+  const target = getLookupTarget(0);
+  return rememberAnchor(target.anchor, { inBubble: target.inBubble });
+}
+
+/**
+ * Works out where a lookup result goes
+ * A remembered lookup keeps its anchor, and one whose anchor was forgotten is centered
+ * rather than put on whatever is selected now. Otherwise the bubble points at the text
+ * field holding selected text or the selected range, and is centered when the page exposes
+ * no selection (e.g. the PDF viewer). Text selected inside the bubble and words looked up
+ * from it stay in the bubble. Hovered words leave focus in the page, where typing may go on
+ * @param {number} anchorId - The anchor ID an in-page lookup was sent with, if any
+ * @returns {{anchor: (Range|Element|null), takesFocus: boolean, inBubble: boolean}} The
+ *   bubble's anchor, whether it takes focus and whether the result joins the open bubble
+ */
+function getLookupTarget(anchorId) {
+  if (anchorId) {
+    const remembered = lookupAnchors.get(anchorId);
+    if (!remembered) {
+      return { anchor: null, takesFocus: true, inBubble: false };
+    }
+    return {
+      anchor: remembered.anchor,
+      takesFocus: !remembered.isHover,
+      inBubble: remembered.inBubble && Boolean(currentPopup)
+    };
+  }
+  
+  const field = getFocusedTextField();
+  if (field && field.selectionStart !== field.selectionEnd) {
+    return { anchor: field, takesFocus: true, inBubble: false };
+  }
+  
+  const range = getSelectionRange();
+  const anchor = range && !range.collapsed ? range.cloneRange() : null;
+  if (isInBubble(anchor)) {
+    return { anchor: currentSelection, takesFocus: true, inBubble: true };
+  }
+  return { anchor: anchor, takesFocus: true, inBubble: false };
+}
+
+/**
+ * Checks whether a range lies inside the bubble
+ * @param {Range|null} range - The range
+ * @returns {boolean} True if the range starts in the bubble's shadow root
+ */
+function isInBubble(range) {
+  return Boolean(currentPopup && range && range.startContainer.getRootNode() === currentPopup.getRootNode());
+}
+
+/**
+ * Lists the bubble's shadow root for selection-context.js, which only finds open ones itself
+ * @returns {Array<ShadowRoot>} The bubble's shadow root, or nothing without a bubble
+ */
+function getBubbleShadowRoots() {
+  return currentPopup ? [currentPopup.getRootNode()] : [];
 }
 
 // Clean up on page unload
@@ -0,0 +1,272 @@
+/**
+ * Saved-word highlighting for DictionaRead extension
+ * Underlines words from the lookup history where they appear again on a page. Matches
+ * are registered with the CSS Custom Highlight API, so the page's DOM is never changed.
+ * Text is scanned in idle time, and a MutationObserver queues text added or edited later.
+ * Part of the content script; content.js decides when highlighting runs
+ */
+
+const HIGHLIGHT_NAME = 'dictionaread-saved-word';
+
+// Text under these elements is never highlighted: code, form fields and non-prose content
+const HIGHLIGHT_SKIP_SELECTOR = [
+  'script', 'style', 'noscript', 'template', 'head', 'title',
+  'input', 'textarea', 'select', 'option', 'button',
+  'code', 'pre', 'kbd', 'samp', 'var', 'svg', 'math',
+  '[contenteditable=""]', '[contenteditable="true"]', '[contenteditable="plaintext-only"]'
+].join(', ');
+
+// Subtle dotted underline; ::highlight() only accepts a few properties, all of them inert
+const HIGHLIGHT_CSS = `::highlight(${HIGHLIGHT_NAME}) {
+  text-decoration: underline dotted rgba(52, 152, 219, 0.8);
+  text-decoration-thickness: 2px;
+  text-underline-offset: 3px;
+}`;
+
+// Highlighting state
+let savedWordHighlight = null; // The Highlight holding every match, while highlighting runs
+let savedWordStyleSheet = null;
+let savedWordObserver = null;
+let savedWordMatcher = null; // RegExp over the saved headwords, or null when there are none
+let savedWordEntries = new Map(); // History entries by normalized headword
+const highlightedNodes = new Map(); // Text node → its match ranges
+let highlightQueue = []; // TreeWalkers over text still to scan
+let highlightIdleHandle = null;
+let needsHighlightPrune = false;
+
+/**
+ * Checks whether the browser supports the CSS Custom Highlight API
+ * @returns {boolean} True if saved words can be highlighted
+ */
+function canHighlightSavedWords() {
+  return typeof Highlight === 'function' && Boolean(window.CSS && CSS.highlights);
+}
+
+/**
+ * Checks whether saved words are being highlighted on this page
+ * @returns {boolean} True while highlighting runs
+ */
+function isHighlightingSavedWords() {
+  return savedWordHighlight !== null;
+}
+
+/**
+ * Starts highlighting saved words on the page, or updates the words if it already runs
+ * @param {Array<Object>} entries - The history entries
+ */
+function startHighlightingSavedWords(entries) {
+  if (!canHighlightSavedWords() || !document.body) return;
+  
+  if (!savedWordHighlight) {
+    savedWordHighlight = new Highlight();
+    CSS.highlights.set(HIGHLIGHT_NAME, savedWordHighlight);
+    
+    savedWordStyleSheet = new CSSStyleSheet();
+    savedWordStyleSheet.replaceSync(HIGHLIGHT_CSS);
+    document.adoptedStyleSheets = [...document.adoptedStyleSheets, savedWordStyleSheet];
+    
+    savedWordObserver = new MutationObserver(handleHighlightMutations);
+    savedWordObserver.observe(document.body, { childList: true, subtree: true, characterData: true });
+  }
+  
+  setSavedWords(entries);
+}
+
+/**
+ * Stops highlighting and removes every underline
+ */
+function stopHighlightingSavedWords() {
+  if (!savedWordHighlight) return;
+  
+  savedWordObserver.disconnect();
+  cancelIdleCallback(highlightIdleHandle);
+  CSS.highlights.delete(HIGHLIGHT_NAME);
+  document.adoptedStyleSheets = document.adoptedStyleSheets.filter(sheet => sheet !== savedWordStyleSheet);
+  
+  savedWordHighlight = null;
+  savedWordStyleSheet = null;
+  savedWordObserver = null;
+  highlightIdleHandle = null;
+  highlightedNodes.clear();
+  highlightQueue = [];
+}
+
+/**
+ * Replaces the words to highlight and rescans the page
+ * @param {Array<Object>} entries - The history entries
+ */
+function setSavedWords(entries) {
+  savedWordEntries = new Map(entries.map(entry => [entry.id, entry]));
+  savedWordMatcher = createSavedWordMatcher([...savedWordEntries.keys()]);
+  
+  savedWordHighlight.clear();
+  highlightedNodes.clear();
+  highlightQueue = [];
+  queueHighlightScan(document.body);
+}
+
+/**
+ * Builds one regular expression matching any saved headword as a whole word
+ * Longer headwords come first, so a saved phrase wins over a saved word inside it
+ * @param {Array<string>} headwords - The normalized headwords
+ * @returns {RegExp|null} The case-insensitive matcher, or null without headwords
+ */
+function createSavedWordMatcher(headwords) {
+  if (headwords.length === 0) return null;
+  
+  const alternatives = headwords
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+'));
+  
+  // Letters, digits, apostrophes and hyphens around a match make it part of a longer word
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}'\u2019-])(?:${alternatives.join('|')})(?![\\p{L}\\p{M}\\p{N}'\u2019-])`, 'giu');
+}
+
+/**
+ * Queues a subtree for scanning in idle time
+ * @param {Node} root - The element or text node to scan
+ */
+function queueHighlightScan(root) {
+  if (!savedWordMatcher || isHighlightSkipped(root)) return;
+  
+  highlightQueue.push(document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+    acceptNode: node => {
+      if (node.nodeType === Node.TEXT_NODE) return NodeFilter.FILTER_ACCEPT;
+      return node.matches(HIGHLIGHT_SKIP_SELECTOR) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_SKIP;
+    }
+  }));
+  
+  if (highlightIdleHandle === null) {
+    highlightIdleHandle = requestIdleCallback(processHighlightQueue, { timeout: 1000 });
+  }
+}
+
+/**
+ * Scans queued text until the idle period runs out, then continues in the next one
+ * @param {IdleDeadline} deadline - The idle period
+ */
+function processHighlightQueue(deadline) {
+  highlightIdleHandle = null;
+  
+  if (needsHighlightPrune) {
+    pruneHighlightedNodes();
+  }
+  
+  while (highlightQueue.length > 0) {
+    const walker = highlightQueue[0];
+    
+    // A walker rooted at a text node only visits that node
+    if (walker.root.nodeType === Node.TEXT_NODE) {
+      highlightTextNode(walker.root);
+    } else {
+      let node;
+      while ((node = walker.nextNode())) {
+        highlightTextNode(node);
+        if (deadline.timeRemaining() < 1) {
+          highlightIdleHandle = requestIdleCallback(processHighlightQueue, { timeout: 1000 });
+          return;
+        }
+      }
+    }
+    highlightQueue.shift();
+  }
+}
+
+/**
+ * Finds the saved words in a text node and registers a range for each
+ * @param {Text} node - The text node
+ */
+function highlightTextNode(node) {
+  const previous = highlightedNodes.get(node);
+  if (previous) {
+    previous.forEach(range => savedWordHighlight.delete(range));
+    highlightedNodes.delete(node);
+  }
+  
+  // Too short to hold a word, or gone since it was queued
+  if (node.data.length < 2 || !node.isConnected) return;
+  
+  const ranges = [];
+  for (const match of node.data.matchAll(savedWordMatcher)) {
+    const range = document.createRange();
+    range.setStart(node, match.index);
+    range.setEnd(node, match.index + match[0].length);
+    savedWordHighlight.add(range);
+    ranges.push(range);
+  }
+  
+  if (ranges.length > 0) {
+    highlightedNodes.set(node, ranges);
+  }
+}
+
+/**
+ * Drops the ranges of text nodes that left the page
+ */
+function pruneHighlightedNodes() {
+  needsHighlightPrune = false;
+  
+  highlightedNodes.forEach((ranges, node) => {
+    if (!node.isConnected) {
+      ranges.forEach(range => savedWordHighlight.delete(range));
+      highlightedNodes.delete(node);
+    }
+  });
+}
+
+/**
+ * Queues text added or edited after the first scan
+ * @param {Array<MutationRecord>} mutations - The mutations
+ */
+function handleHighlightMutations(mutations) {
+  mutations.forEach(mutation => {
+    if (mutation.type === 'characterData') {
+      queueHighlightScan(mutation.target);
+      return;
+    }
+    
+    mutation.addedNodes.forEach(node => {
+      if (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.TEXT_NODE) {
+        queueHighlightScan(node);
+      }
+    });
+    if (mutation.removedNodes.length > 0) {
+      needsHighlightPrune = true;
+    }
+  });
+  
+  if (needsHighlightPrune && highlightIdleHandle === null) {
+    highlightIdleHandle = requestIdleCallback(processHighlightQueue, { timeout: 1000 });
+  }
+}
+
+/**
+ * Checks whether a node sits in an element whose text is never highlighted
+ * @param {Node} node - The node
+ * @returns {boolean} True if the node is skipped
+ */
+function isHighlightSkipped(node) {
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  return !element || Boolean(element.closest(HIGHLIGHT_SKIP_SELECTOR));
+}
+
+/**
+ * Finds the highlighted saved word under a point
+ * @param {number} x - The viewport x coordinate
+ * @param {number} y - The viewport y coordinate
+ * @returns {Object|null} The history entry and the match's range, or null
+ */
+function getSavedWordAtPoint(x, y) {
+  const caret = document.caretRangeFromPoint?.(x, y);
+  const ranges = caret && highlightedNodes.get(caret.startContainer);
+  if (!ranges) return null;
+  
+  const range = ranges.find(candidate =>
+    Array.from(candidate.getClientRects()).some(rect =>
+      x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom
+    )
+  );
+  const entry = range && savedWordEntries.get(normalizeHeadword(range.toString()));
+  return entry ? { entry: entry, range: range } : null;
+}
@@ -0,0 +1,163 @@
+/**
+ * Lookup history storage for DictionaRead extension
+ * Keeps the personal vocabulary notebook in chrome.storage.local
+ * Shared by the background service worker and the popup control panel
+ */
+
+const HISTORY_STORAGE_KEY = 'lookupHistory';
+const MAX_HISTORY_ENTRIES = 500; // Starred entries are never evicted
+
+/**
+ * Normalizes a headword so repeated lookups map to the same entry
+ * @param {string} word - The looked-up word or phrase
+ * @returns {string} The normalized headword
+ */
+function normalizeHeadword(word) {
+  return (word || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Loads every saved lookup
+ * @returns {Promise<Array<Object>>} The saved history entries
+ */
+async function getHistory() {
+  const result = await chrome.storage.local.get([HISTORY_STORAGE_KEY]);
+  return Array.isArray(result[HISTORY_STORAGE_KEY]) ? result[HISTORY_STORAGE_KEY] : [];
+}
+
+/**
+ * Persists the full list of history entries
+ * @param {Array<Object>} entries - The entries to save
+ * @returns {Promise<void>}
+ */
+async function saveHistory(entries) {
+  await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: entries });
+}
+
+/**
+ * Saves a successful lookup, merging it into an existing entry for the same word
+ * @param {Object} lookup - The lookup to save
+ * @param {string} lookup.word - The headword that was looked up
+ * @param {Object} lookup.definition - The definition data returned by the dictionary
+ * @param {string} lookup.language - The language the word was looked up in
+ * @param {string} lookup.url - The URL of the page the word came from
+ * @param {string} lookup.title - The title of that page
+ * @param {string} lookup.sentence - The sentence surrounding the selection
+ * @returns {Promise<Object>} The saved entry
+ */
+async function saveLookup(lookup) {
+  const entries = await getHistory();
+  const id = normalizeHeadword(lookup.word);
+  const existingIndex = entries.findIndex(entry => entry.id === id);
+  const existing = existingIndex >= 0 ? entries.splice(existingIndex, 1)[0] : null;
+  
+  const entry = {
+    id: id,
+    word: lookup.word,
+    definition: lookup.definition,
+    language: lookup.language || 'en',
+    url: lookup.url || '',
+    title: lookup.title || '',
+    sentence: lookup.sentence || '',
+    timestamp: Date.now(),
+    starred: existing ? existing.starred : false,
+    lookupCount: existing ? existing.lookupCount + 1 : 1
+  };
+  
+  // Newest entries first
+  entries.unshift(entry);
+  
+  await saveHistory(trimHistory(entries));
+  return entry;
+}
+
+/**
+ * Drops the oldest unstarred entries once the history grows past its limit
+ * @param {Array<Object>} entries - The entries, newest first
+ * @returns {Array<Object>} The trimmed entries
+ */
+function trimHistory(entries) {
+  let overflow = entries.length - MAX_HISTORY_ENTRIES;
+  if (overflow <= 0) return entries;
+  
+  const trimmed = [];
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (overflow > 0 && !entries[i].starred) {
+      overflow--;
+      continue;
+    }
+    trimmed.unshift(entries[i]);
+  }
+  return trimmed;
+}
+
+/**
+ * Merges imported entries into the history, one entry per normalized headword
+ * For a word saved on both sides the more recent lookup wins; it stays starred if
+ * either copy was, and keeps the higher lookup count
+ * @param {Array<Object>} imported - The imported entries (see normalizeImportedEntry in vocabulary.js)
+ * @returns {Promise<Object>} Counts of added, merged and dropped (over the history limit) words
+ */
+async function mergeHistory(imported) {
+  const entries = await getHistory();
+  const byId = new Map(entries.map(entry => [entry.id, entry]));
+  let added = 0;
+  let merged = 0;
+  
+  imported.forEach(entry => {
+    const existing = byId.get(entry.id);
+    if (!existing) {
+      byId.set(entry.id, entry);
+      added++;
+      return;
+    }
+    
+    const newer = entry.timestamp > existing.timestamp ? entry : existing;
+    byId.set(entry.id, {
+      ...newer,
+      starred: existing.starred || entry.starred,
+      lookupCount: Math.max(existing.lookupCount, entry.lookupCount)
+    });
+    merged++;
+  });
+  
+  // Newest entries first
+  const mergedEntries = [...byId.values()].sort((a, b) => b.timestamp - a.timestamp);
+  const trimmed = trimHistory(mergedEntries);
+  
+  await saveHistory(trimmed);
+  return { added: added, merged: merged, dropped: mergedEntries.length - trimmed.length };
+}
+
+/**
+ * Stars or unstars a history entry
+ * @param {string} id - The entry ID (normalized headword)
+ * @param {boolean} starred - The new starred state
+ * @returns {Promise<void>}
+ */
+async function setHistoryEntryStarred(id, starred) {
+  const entries = await getHistory();
+  const entry = entries.find(item => item.id === id);
+  if (!entry) return;
+  
+  entry.starred = starred;
+  await saveHistory(entries);
+}
+
+/**
+ * Deletes a single history entry
+ * @param {string} id - The entry ID (normalized headword)
+ * @returns {Promise<void>}
+ */
+async function deleteHistoryEntry(id) {
+  const entries = await getHistory();
+  await saveHistory(entries.filter(entry => entry.id !== id));
+}
+
+/**
+ * Removes every saved lookup
+ * @returns {Promise<void>}
+ */
+async function clearHistory() {
+  await chrome.storage.local.remove(HISTORY_STORAGE_KEY);
+}
@@ -0,0 +1,45 @@
+/**
+ * IndexedDB helpers for DictionaRead extension
+ * Wraps the request-based IndexedDB API in promises for the background service worker
+ */
+
+/**
+ * Opens (and if needed creates or upgrades) an IndexedDB database
+ * @param {string} name - The database name
+ * @param {number} version - The schema version
+ * @param {function(IDBDatabase): void} onUpgrade - Creates object stores for a new schema version
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+function openDatabase(name, version, onUpgrade) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = () => onUpgrade(request.result);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolves with the result of an IndexedDB request
+ * @param {IDBRequest} request - The request to wait for
+ * @returns {Promise<*>} The request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolves once an IndexedDB transaction has committed
+ * @param {IDBTransaction} transaction - The transaction to wait for
+ * @returns {Promise<void>}
+ */
+function promisifyTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
@@ -0,0 +1,327 @@
+/**
+ * Morphology for DictionaRead extension
+ * Turns inflected English forms ("running", "geese", "analyses", "wasn't")
+ * into candidate dictionary headwords, most likely first, and recognizes
+ * function words when phrases are split
+ */
+
+// Candidates tried per lookup; each miss costs a round trip through the provider chain
+const MAX_LEMMA_CANDIDATES = 4;
+
+// Irregular forms: form → [lemma, inflection]
+const IRREGULAR_FORMS = {
+  // Nouns
+  men: ['man', 'plural'],
+  women: ['woman', 'plural'],
+  children: ['child', 'plural'],
+  people: ['person', 'plural'],
+  geese: ['goose', 'plural'],
+  mice: ['mouse', 'plural'],
+  lice: ['louse', 'plural'],
+  feet: ['foot', 'plural'],
+  teeth: ['tooth', 'plural'],
+  oxen: ['ox', 'plural'],
+  dice: ['die', 'plural'],
+  criteria: ['criterion', 'plural'],
+  phenomena: ['phenomenon', 'plural'],
+  data: ['datum', 'plural'],
+  bacteria: ['bacterium', 'plural'],
+  curricula: ['curriculum', 'plural'],
+  memoranda: ['memorandum', 'plural'],
+  strata: ['stratum', 'plural'],
+  cacti: ['cactus', 'plural'],
+  fungi: ['fungus', 'plural'],
+  nuclei: ['nucleus', 'plural'],
+  radii: ['radius', 'plural'],
+  stimuli: ['stimulus', 'plural'],
+  alumni: ['alumnus', 'plural'],
+  indices: ['index', 'plural'],
+  appendices: ['appendix', 'plural'],
+  matrices: ['matrix', 'plural'],
+  vertices: ['vertex', 'plural'],
+  larvae: ['larva', 'plural'],
+  formulae: ['formula', 'plural'],
+  antennae: ['antenna', 'plural'],
+  
+  // Verbs
+  am: ['be', 'present tense'],
+  is: ['be', 'present tense'],
+  are: ['be', 'present tense'],
+  was: ['be', 'past tense'],
+  were: ['be', 'past tense'],
+  been: ['be', 'past participle'],
+  being: ['be', 'present participle'],
+  lying: ['lie', 'present participle'],
+  dying: ['die', 'present participle'],
+  tying: ['tie', 'present participle'],
+  has: ['have', 'third-person singular'],
+  had: ['have', 'past tense'],
+  does: ['do', 'third-person singular'],
+  did: ['do', 'past tense'],
+  done: ['do', 'past participle'],
+  went: ['go', 'past tense'],
+  gone: ['go', 'past participle'],
+  ran: ['run', 'past tense'],
+  ate: ['eat', 'past tense'],
+  eaten: ['eat', 'past participle'],
+  saw: ['see', 'past tense'],
+  seen: ['see', 'past participle'],
+  took: ['take', 'past tense'],
+  taken: ['take', 'past participle'],
+  gave: ['give', 'past tense'],
+  given: ['give', 'past participle'],
+  came: ['come', 'past tense'],
+  made: ['make', 'past tense'],
+  said: ['say', 'past tense'],
+  knew: ['know', 'past tense'],
+  known: ['know', 'past participle'],
+  thought: ['think', 'past tense'],
+  brought: ['bring', 'past tense'],
+  bought: ['buy', 'past tense'],
+  caught: ['catch', 'past tense'],
+  taught: ['teach', 'past tense'],
+  fought: ['fight', 'past tense'],
+  sought: ['seek', 'past tense'],
+  found: ['find', 'past tense'],
+  told: ['tell', 'past tense'],
+  sold: ['sell', 'past tense'],
+  felt: ['feel', 'past tense'],
+  left: ['leave', 'past tense'],
+  kept: ['keep', 'past tense'],
+  slept: ['sleep', 'past tense'],
+  meant: ['mean', 'past tense'],
+  sent: ['send', 'past tense'],
+  spent: ['spend', 'past tense'],
+  built: ['build', 'past tense'],
+  lost: ['lose', 'past tense'],
+  led: ['lead', 'past tense'],
+  held: ['hold', 'past tense'],
+  stood: ['stand', 'past tense'],
+  understood: ['understand', 'past tense'],
+  sat: ['sit', 'past tense'],
+  met: ['meet', 'past tense'],
+  paid: ['pay', 'past tense'],
+  heard: ['hear', 'past tense'],
+  won: ['win', 'past tense'],
+  began: ['begin', 'past tense'],
+  begun: ['begin', 'past participle'],
+  wrote: ['write', 'past tense'],
+  written: ['write', 'past participle'],
+  spoke: ['speak', 'past tense'],
+  spoken: ['speak', 'past participle'],
+  broke: ['break', 'past tense'],
+  broken: ['break', 'past participle'],
+  chose: ['choose', 'past tense'],
+  chosen: ['choose', 'past participle'],
+  drove: ['drive', 'past tense'],
+  driven: ['drive', 'past participle'],
+  rode: ['ride', 'past tense'],
+  ridden: ['ride', 'past participle'],
+  rose: ['rise', 'past tense'],
+  risen: ['rise', 'past participle'],
+  fell: ['fall', 'past tense'],
+  fallen: ['fall', 'past participle'],
+  forgot: ['forget', 'past tense'],
+  forgotten: ['forget', 'past participle'],
+  got: ['get', 'past tense'],
+  gotten: ['get', 'past participle'],
+  swam: ['swim', 'past tense'],
+  swum: ['swim', 'past participle'],
+  sang: ['sing', 'past tense'],
+  sung: ['sing', 'past participle'],
+  drank: ['drink', 'past tense'],
+  drunk: ['drink', 'past participle'],
+  flew: ['fly', 'past tense'],
+  flown: ['fly', 'past participle'],
+  grew: ['grow', 'past tense'],
+  grown: ['grow', 'past participle'],
+  threw: ['throw', 'past tense'],
+  thrown: ['throw', 'past participle'],
+  drew: ['draw', 'past tense'],
+  drawn: ['draw', 'past participle'],
+  wore: ['wear', 'past tense'],
+  worn: ['wear', 'past participle'],
+  tore: ['tear', 'past tense'],
+  torn: ['tear', 'past participle'],
+  hid: ['hide', 'past tense'],
+  hidden: ['hide', 'past participle'],
+  bit: ['bite', 'past tense'],
+  bitten: ['bite', 'past participle'],
+  shook: ['shake', 'past tense'],
+  shaken: ['shake', 'past participle'],
+  
+  // Adjectives
+  better: ['good', 'comparative'],
+  best: ['good', 'superlative'],
+  worse: ['bad', 'comparative'],
+  worst: ['bad', 'superlative'],
+  less: ['little', 'comparative'],
+  least: ['little', 'superlative']
+};
+
+// Articles, prepositions, conjunctions and pronouns skipped when a phrase is split into words
+const FUNCTION_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'nor', 'so', 'yet', 'if', 'than', 'that', 'as',
+  'of', 'in', 'on', 'at', 'to', 'for', 'by', 'with', 'from', 'into', 'onto', 'upon', 'about',
+  'over', 'under', 'off', 'out', 'up', 'down',
+  'i', 'me', 'my', 'you', 'your', 'he', 'him', 'his', 'she', 'her', 'it', 'its',
+  'we', 'us', 'our', 'they', 'them', 'their', 'this', 'these', 'those',
+  'is', 'am', 'are', 'was', 'were', 'be', 'been', 'do', 'does', 'did', 'not'
+]);
+
+// Contractions whose first word changes when expanded
+const IRREGULAR_CONTRACTIONS = {
+  "won't": 'will not',
+  "can't": 'can not',
+  "shan't": 'shall not',
+  "ain't": 'is not',
+  "let's": 'let us'
+};
+
+// Regular contraction endings and their expansions
+const CONTRACTION_SUFFIXES = [
+  ["n't", ' not'],
+  ["'re", ' are'],
+  ["'ve", ' have'],
+  ["'ll", ' will'],
+  ["'d", ' would'],
+  ["'m", ' am']
+];
+
+// Suffix rules, most specific first: [suffix, replacements, inflection]
+const SUFFIX_RULES = [
+  ['yses', ['ysis'], 'plural'],
+  ['ices', ['ex', 'ix'], 'plural'],
+  ['ies', ['y'], 'plural or third-person singular'],
+  ['ves', ['f', 'fe'], 'plural'],
+  ['ches', ['ch'], 'plural or third-person singular'],
+  ['shes', ['sh'], 'plural or third-person singular'],
+  ['sses', ['ss'], 'plural or third-person singular'],
+  ['xes', ['x'], 'plural or third-person singular'],
+  ['zes', ['z', 'ze'], 'plural or third-person singular'],
+  ['ses', ['se', 'sis', 's'], 'plural or third-person singular'],
+  ['s', [''], 'plural or third-person singular'],
+  ['ied', ['y'], 'past tense'],
+  ['ed', null, 'past tense'],
+  ['ying', ['y', 'ie'], 'present participle'],
+  ['ing', null, 'present participle'],
+  ['ier', ['y'], 'comparative'],
+  ['iest', ['y'], 'superlative'],
+  ['er', null, 'comparative'],
+  ['est', null, 'superlative'],
+  ['ily', ['y'], 'adverb'],
+  ['ly', [''], 'adverb']
+];
+
+/**
+ * Lists the dictionary headwords an inflected word may come from, most likely first
+ * @param {string} word - The sanitized word
+ * @param {string} language - The lookup language code; only English is supported
+ * @returns {Array<{lemma: string, inflection: string}>} The candidate lemmas
+ */
+function getLemmaCandidates(word, language) {
+  const form = (word || '').toLowerCase();
+  if (language !== 'en' || !form || /\s/.test(form)) return [];
+  
+  const candidates = [];
+  const contraction = expandContraction(form);
+  
+  if (contraction) {
+    // "wasn't" → "was" → "be"; the inflection names the full expansion
+    const head = contraction.split(' ')[0];
+    const inflection = `contraction of "${contraction}"`;
+    candidates.push({ lemma: head, inflection: inflection });
+    getInflectionCandidates(head).forEach(candidate => {
+      candidates.push({ lemma: candidate.lemma, inflection: inflection });
+    });
+  } else if (/'s?$/.test(form)) {
+    // "'s" may be a possessive or "is"; either way the headword is what comes before it
+    const head = form.replace(/'s?$/, '');
+    candidates.push({ lemma: head, inflection: 'possessive or contraction' });
+    candidates.push(...getInflectionCandidates(head));
+  } else {
+    candidates.push(...getInflectionCandidates(form));
+  }
+  
+  const seen = new Set([form]);
+  return candidates.filter(candidate => {
+    if (seen.has(candidate.lemma)) return false;
+    seen.add(candidate.lemma);
+    return true;
+  }).slice(0, MAX_LEMMA_CANDIDATES);
+}
+
+/**
+ * Tells whether a word is a function word that carries no lookup-worthy meaning on its own
+ * @param {string} word - The word
+ * @returns {boolean} True for words like "the", "of" and "was"
+ */
+function isFunctionWord(word) {
+  return FUNCTION_WORDS.has((word || '').toLowerCase());
+}
+
+/**
+ * Expands a contraction such as "wasn't" or "they're"
+ * @param {string} form - The lowercased word
+ * @returns {string|null} The expansion, or null if the word is not a contraction
+ */
+function expandContraction(form) {
+  if (IRREGULAR_CONTRACTIONS[form]) return IRREGULAR_CONTRACTIONS[form];
+  
+  for (const [suffix, expansion] of CONTRACTION_SUFFIXES) {
+    if (form.endsWith(suffix) && form.length > suffix.length) {
+      return form.slice(0, -suffix.length) + expansion;
+    }
+  }
+  return null;
+}
+
+/**
+ * Lists lemmas for an inflected form from the irregular table and the suffix rules
+ * @param {string} form - The lowercased word
+ * @returns {Array<{lemma: string, inflection: string}>} The candidate lemmas
+ */
+function getInflectionCandidates(form) {
+  if (IRREGULAR_FORMS[form]) {
+    const [lemma, inflection] = IRREGULAR_FORMS[form];
+    return [{ lemma: lemma, inflection: inflection }];
+  }
+  
+  // Words ending in "ss", "us" or "is" are usually already singular ("class", "virus", "basis")
+  if (/(ss|us|is)$/.test(form)) return [];
+  
+  const rule = SUFFIX_RULES.find(([suffix]) => form.endsWith(suffix) && form.length - suffix.length >= 2);
+  if (!rule) return [];
+  
+  const [suffix, replacements, inflection] = rule;
+  const stem = form.slice(0, -suffix.length);
+  const lemmas = replacements
+    ? replacements.map(replacement => stem + replacement)
+    : getRegularStems(stem);
+  
+  return lemmas.map(lemma => ({ lemma: lemma, inflection: inflection }));
+}
+
+/**
+ * Undoes the spelling changes of "-ed", "-ing", "-er" and "-est"
+ * "running" → "run", "making" → "make", "visited" → "visit"
+ * @param {string} stem - The word with the suffix removed
+ * @returns {Array<string>} The possible base forms, most likely first
+ */
+function getRegularStems(stem) {
+  // Doubled final consonant: "running", "stopped", "bigger"
+  if (/([b-df-hj-np-tv-z])\1$/.test(stem) && !/(ll|ss|zz|ff)$/.test(stem)) {
+    return [stem.slice(0, -1), stem];
+  }
+  
+  // A silent "e" may have been dropped ("nicer", "making", "hoped")
+  const withE = stem + 'e';
+  
+  // One-syllable stems ending consonant-vowel-consonant ("mak", "hop") and stems
+  // English never ends in ("giv", "continu") most likely lost an "e"
+  const isShortStem = (stem.match(/[aeiouy]+/g) || []).length === 1 && /[aeiou][b-df-hj-np-tvz]$/.test(stem);
+  if (isShortStem || /[vu]$/.test(stem)) {
+    return [withE, stem];
+  }
+  return [stem, withE];
+}
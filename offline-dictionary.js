@@ -0,0 +1,195 @@
+/**
+ * Offline dictionary for DictionaRead extension
+ * Imports the bundled WordNet 3.1 index (every lemma, built by
+ * build-offline-dictionary.js) into IndexedDB when the extension is installed or updated,
+ * and answers lookups from it when the network is unavailable
+ */
+
+const OFFLINE_DICTIONARY_URL = 'data/offline-dictionary.json.gz';
+const OFFLINE_DICTIONARY_VERSION = 2; // Bump together with "version" in the bundled file
+const OFFLINE_DATABASE_NAME = 'dictionaread-offline';
+const OFFLINE_ENTRIES_STORE = 'entries';
+const OFFLINE_META_STORE = 'meta';
+const OFFLINE_SOURCE = { id: 'offline', name: 'Offline dictionary (WordNet)' };
+const OFFLINE_LICENSE = { name: 'WordNet 3.1 License', url: 'https://wordnet.princeton.edu/license-and-commercial-use' };
+
+// Entries written per transaction: lookups get in between, and a stopped import keeps its progress
+const OFFLINE_IMPORT_CHUNK_SIZE = 5000;
+
+// Shared promises so the database is opened and the index imported only once
+let offlineDatabaseOpen = null;
+let offlineDictionaryReady = null;
+
+/**
+ * Opens the offline dictionary database
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+function openOfflineDatabase() {
+  if (!offlineDatabaseOpen) {
+    offlineDatabaseOpen = openDatabase(OFFLINE_DATABASE_NAME, 1, db => {
+      db.createObjectStore(OFFLINE_ENTRIES_STORE, { keyPath: 'word' });
+      db.createObjectStore(OFFLINE_META_STORE);
+    }).catch(error => {
+      offlineDatabaseOpen = null;
+      throw error;
+    });
+  }
+  return offlineDatabaseOpen;
+}
+
+/**
+ * Loads the bundled index into IndexedDB unless the current version is already there
+ * @returns {Promise<IDBDatabase>} The open database, ready for lookups
+ */
+function ensureOfflineDictionaryLoaded() {
+  if (!offlineDictionaryReady) {
+    offlineDictionaryReady = loadOfflineDictionary().catch(error => {
+      // Allow a later lookup to retry
+      offlineDictionaryReady = null;
+      throw error;
+    });
+  }
+  return offlineDictionaryReady;
+}
+
+/**
+ * Imports the bundled index if IndexedDB holds no copy or an older version
+ * Entries go in chunks, each recording how far the import got, so an import stopped with
+ * the service worker resumes where it left off. The version is set last, once every
+ * entry is in
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+async function loadOfflineDictionary() {
+  const db = await openOfflineDatabase();
+  
+  const meta = db.transaction(OFFLINE_META_STORE).objectStore(OFFLINE_META_STORE);
+  const [installedVersion, progress] = await Promise.all([
+    promisifyRequest(meta.get('version')),
+    promisifyRequest(meta.get('importProgress'))
+  ]);
+  if (installedVersion === OFFLINE_DICTIONARY_VERSION) {
+    return db;
+  }
+  
+  console.log('Loading offline dictionary into IndexedDB');
+  const response = await fetch(chrome.runtime.getURL(OFFLINE_DICTIONARY_URL));
+  const index = await new Response(response.body.pipeThrough(new DecompressionStream('gzip'))).json();
+  const words = Object.keys(index.entries);
+  
+  let start = progress && progress.version === index.version ? progress.count : 0;
+  if (start === 0) {
+    const transaction = db.transaction([OFFLINE_ENTRIES_STORE, OFFLINE_META_STORE], 'readwrite');
+    transaction.objectStore(OFFLINE_ENTRIES_STORE).clear();
+    
+    const metaStore = transaction.objectStore(OFFLINE_META_STORE);
+    metaStore.delete('version');
+    metaStore.put(index.partsOfSpeech, 'partsOfSpeech');
+    metaStore.put(index.source, 'source');
+    metaStore.put(index.license, 'license');
+    metaStore.put({ version: index.version, count: 0 }, 'importProgress');
+    await promisifyTransaction(transaction);
+  }
+  
+  for (; start < words.length; start += OFFLINE_IMPORT_CHUNK_SIZE) {
+    const transaction = db.transaction([OFFLINE_ENTRIES_STORE, OFFLINE_META_STORE], 'readwrite');
+    const entriesStore = transaction.objectStore(OFFLINE_ENTRIES_STORE);
+    
+    // Glosses are shared by the lemmas of a synset and listed once, by number
+    words.slice(start, start + OFFLINE_IMPORT_CHUNK_SIZE).forEach(word => {
+      entriesStore.put({ word: word, senses: index.entries[word].map(number => index.glosses[number]) });
+    });
+    transaction.objectStore(OFFLINE_META_STORE).put({
+      version: index.version,
+      count: Math.min(start + OFFLINE_IMPORT_CHUNK_SIZE, words.length)
+    }, 'importProgress');
+    await promisifyTransaction(transaction);
+  }
+  
+  const transaction = db.transaction(OFFLINE_META_STORE, 'readwrite');
+  const metaStore = transaction.objectStore(OFFLINE_META_STORE);
+  metaStore.delete('importProgress');
+  metaStore.put(index.version, 'version');
+  await promisifyTransaction(transaction);
+  
+  console.log(`Offline dictionary loaded: ${words.length} words`);
+  return db;
+}
+
+/**
+ * Looks a word up in the offline dictionary
+ * Words already imported answer at once; others wait for a running import to finish
+ * @param {string} word - The word to look up
+ * @returns {Promise<Array<DefinitionEntry>>} The normalized entries (empty if the word is unknown)
+ */
+async function lookupOfflineDictionary(word) {
+  const entries = await readOfflineEntries(await openOfflineDatabase(), word);
+  if (entries.length > 0) {
+    return entries;
+  }
+  return readOfflineEntries(await ensureOfflineDictionaryLoaded(), word);
+}
+
+/**
+ * Reads a word's record from the offline dictionary database
+ * @param {IDBDatabase} db - The open database
+ * @param {string} word - The word to look up
+ * @returns {Promise<Array<DefinitionEntry>>} The normalized entries (empty if the word is not stored)
+ */
+async function readOfflineEntries(db, word) {
+  const transaction = db.transaction([OFFLINE_ENTRIES_STORE, OFFLINE_META_STORE]);
+  
+  const [record, partsOfSpeech] = await Promise.all([
+    promisifyRequest(transaction.objectStore(OFFLINE_ENTRIES_STORE).get(word.toLowerCase())),
+    promisifyRequest(transaction.objectStore(OFFLINE_META_STORE).get('partsOfSpeech'))
+  ]);
+  
+  return record ? [normalizeOfflineRecord(record, partsOfSpeech || {})] : [];
+}
+
+/**
+ * Converts a compact offline record into the normalized definition model
+ * Each sense is stored as [part-of-speech code, gloss, optional example]
+ * @param {Object} record - The stored record
+ * @param {Object} partsOfSpeech - Map of part-of-speech codes to names
+ * @returns {DefinitionEntry} The normalized entry
+ */
+function normalizeOfflineRecord(record, partsOfSpeech) {
+  const meanings = [];
+  
+  record.senses.forEach(([code, gloss, example]) => {
+    const partOfSpeech = partsOfSpeech[code] || code;
+    let meaning = meanings.find(item => item.partOfSpeech === partOfSpeech);
+    if (!meaning) {
+      meaning = { partOfSpeech: partOfSpeech, definitions: [], synonyms: [], antonyms: [] };
+      meanings.push(meaning);
+    }
+    meaning.definitions.push({ definition: gloss, example: example || '', synonyms: [], antonyms: [] });
+  });
+  
+  return {
+    word: record.word,
+    phonetic: '',
+    phonetics: [],
+    meanings: meanings,
+    sourceUrls: ['https://wordnet.princeton.edu/'],
+    license: OFFLINE_LICENSE
+  };
+}
+
+/**
+ * Looks a word up offline and wraps it in a definition result
+ * @param {string} word - The word to look up
+ * @returns {Promise<Object>} The definition result or error object
+ */
+async function fetchOfflineDefinition(word) {
+  try {
+    const entries = await lookupOfflineDictionary(word);
+    if (entries.length > 0) {
+      return { success: true, data: entries[0], entries: entries, word: word, source: OFFLINE_SOURCE };
+    }
+  } catch (error) {
+    console.error('Error reading offline dictionary:', error);
+  }
+  
+  return { success: false, error: 'No definition found', word: word };
+}
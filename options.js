@@ -0,0 +1,417 @@
+/**
+ * Options page for DictionaRead extension
+ * Edits the settings in settings.js and previews the bubble with them, rendered
+ * by the same bubble-render.js code the content script uses. Also imports vocabulary
+ * files exported from the popup
+ */
+
+// DOM elements
+const optionsForm = document.getElementById('optionsForm');
+const optionsReset = document.getElementById('optionsReset');
+const optionsStatus = document.getElementById('optionsStatus');
+const autoDismissDelayOption = document.getElementById('autoDismissDelayOption');
+const previewStage = document.getElementById('previewStage');
+const vocabularyFile = document.getElementById('vocabularyFile');
+const vocabularyStatus = document.getElementById('vocabularyStatus');
+const customThemeOptions = document.getElementById('customThemeOptions');
+const customThemeList = document.getElementById('customThemeList');
+const customThemeAdd = document.getElementById('customThemeAdd');
+
+// Form controls by setting key; each control's ID is its setting key
+const settingControls = Object.fromEntries(
+  Object.keys(SETTINGS_SCHEMA)
+    .map(key => [key, document.getElementById(key)])
+    .filter(([, control]) => control)
+);
+
+// The preview bubble's shadow root, styled like the bubble on a page
+let previewRoot = null;
+
+// Custom themes, edited in their own list rather than a single form control
+let customThemes = [];
+
+// Colors of a new custom theme (solarized light)
+const NEW_CUSTOM_THEME = { name: 'Custom theme', background: '#fdf6e3', text: '#073642' };
+
+// Entry shown in the preview, in the normalized provider shape (see DefinitionEntry in providers.js)
+const PREVIEW_DEFINITION = {
+  success: true,
+  word: 'serendipity',
+  language: 'en',
+  source: { id: 'preview', name: 'Preview' },
+  data: {
+    word: 'serendipity',
+    phonetic: '/ˌsɛɹ.ən.ˈdɪp.ɪ.ti/',
+    phonetics: [],
+    meanings: [
+      {
+        partOfSpeech: 'noun',
+        definitions: [
+          {
+            definition: 'The faculty of making fortunate discoveries by accident.',
+            example: 'Finding that book was pure serendipity.',
+            contextMatch: true
+          },
+          { definition: 'An unsought, unintended and unexpected but fortunate discovery.' },
+          { definition: 'A combination of events which are not individually beneficial, but occurring together produce a good outcome.' },
+          { definition: 'Luck in finding something valuable while looking for something else.' }
+        ],
+        synonyms: ['chance', 'fluke', 'luck'],
+        antonyms: ['misfortune']
+      }
+    ]
+  }
+};
+
+/**
+ * Initialize the options page
+ * Loads the settings into the form and renders the preview
+ */
+async function initializeOptions() {
+  try {
+    const settings = await getSettings();
+    customThemes = settings.customThemes;
+    renderCustomThemes();
+    fillForm(settings);
+    
+    // styles.css resets its host, so the bubble gets a host of its own inside the stage
+    previewRoot = previewStage.appendChild(document.createElement('div')).attachShadow({ mode: 'open' });
+    renderPreview(settings);
+    
+    optionsForm.addEventListener('change', handleSettingChange);
+    optionsForm.addEventListener('submit', event => event.preventDefault());
+    optionsReset.addEventListener('click', handleResetClick);
+    vocabularyFile.addEventListener('change', handleVocabularyImport);
+    customThemeAdd.addEventListener('click', handleCustomThemeAdd);
+    customThemeList.addEventListener('input', handleCustomThemeInput);
+    customThemeList.addEventListener('change', handleCustomThemeChange);
+    customThemeList.addEventListener('click', handleCustomThemeDelete);
+    
+    // Follow changes made in the popup or another options tab
+    chrome.storage.onChanged.addListener(handleStorageChange);
+  } catch (error) {
+    console.error('Error initializing options:', error);
+    optionsStatus.textContent = 'Could not load the settings.';
+  }
+}
+
+/**
+ * Shows settings in the form controls
+ * @param {Object} settings - The settings by key
+ */
+function fillForm(settings) {
+  Object.entries(settings).forEach(([key, value]) => {
+    const control = settingControls[key];
+    if (!control) return;
+    
+    if (control.type === 'checkbox') {
+      control.checked = value;
+    } else if (Array.isArray(value)) {
+      control.value = value.join('\n');
+    } else {
+      control.value = value;
+    }
+    
+    // Number inputs take their range from the schema
+    if (control.type === 'number') {
+      control.min = SETTINGS_SCHEMA[key].min;
+      control.max = SETTINGS_SCHEMA[key].max;
+    }
+  });
+  
+  autoDismissDelayOption.hidden = settingControls.autoDismiss.value !== 'delay';
+}
+
+/**
+ * Reads the value of a form control in the shape its setting is stored in
+ * @param {string} key - The setting key
+ * @returns {*} The unvalidated value
+ */
+function readControl(key) {
+  const control = settingControls[key];
+  
+  if (control.type === 'checkbox') return control.checked;
+  // Lists are edited one item per line; site patterns are cleaned up to their host part
+  if (SETTINGS_SCHEMA[key].type === 'list') {
+    const isSiteList = ['siteRules', 'highlightExcludedSites'].includes(key);
+    return control.value.split('\n').map(isSiteList ? normalizeSitePattern : line => line.trim());
+  }
+  return control.value;
+}
+
+/**
+ * Reads the current settings from the form controls
+ * @returns {Object} The settings by key, validated against the schema
+ */
+function readForm() {
+  return Object.fromEntries(
+    Object.keys(settingControls).map(key => [key, normalizeSetting(key, readControl(key))])
+  );
+}
+
+/**
+ * Saves the setting that changed, then shows the clamped value and updates the preview
+ * @param {Event} event - The change event from a form control
+ */
+async function handleSettingChange(event) {
+  const key = event.target.id;
+  if (!settingControls[key]) return;
+  
+  try {
+    const saved = await saveSettings({ [key]: readControl(key) });
+    const settings = { ...readForm(), ...saved };
+    
+    fillForm(settings);
+    renderPreview(settings);
+    optionsStatus.textContent = 'Saved.';
+  } catch (error) {
+    console.error('Error saving setting:', error);
+    optionsStatus.textContent = 'Could not save the setting.';
+  }
+}
+
+/**
+ * Restores the settings on this page to their defaults, except the site rules and the
+ * sites without underlines, which are usually kept on purpose (e.g. a site policy)
+ */
+async function handleResetClick() {
+  try {
+    const defaults = Object.fromEntries(
+      Object.keys(settingControls)
+        .filter(key => !['siteRuleMode', 'siteRules', 'highlightExcludedSites'].includes(key))
+        .map(key => [key, DEFAULT_SETTINGS[key]])
+    );
+    await saveSettings(defaults);
+    
+    const settings = { ...readForm(), ...defaults };
+    fillForm(settings);
+    renderPreview(settings);
+    optionsStatus.textContent = 'Defaults restored.';
+  } catch (error) {
+    console.error('Error restoring default settings:', error);
+    optionsStatus.textContent = 'Could not restore the defaults.';
+  }
+}
+
+/**
+ * Imports the chosen vocabulary file and merges it into the saved words
+ */
+async function handleVocabularyImport() {
+  const file = vocabularyFile.files[0];
+  if (!file) return;
+  
+  try {
+    const entries = parseVocabulary(await file.text(), file.name);
+    const result = await mergeHistory(entries);
+    
+    const parts = [`${result.added} new`, `${result.merged} merged`];
+    if (result.dropped > 0) {
+      parts.push(`${result.dropped} oldest dropped to stay within ${MAX_HISTORY_ENTRIES} words`);
+    }
+    vocabularyStatus.textContent = `Imported ${file.name}: ${parts.join(', ')}.`;
+  } catch (error) {
+    console.error('Error importing vocabulary:', error);
+    vocabularyStatus.textContent = `Could not import ${file.name}: ${error.message}.`;
+  } finally {
+    vocabularyFile.value = '';
+  }
+}
+
+/**
+ * Shows the custom themes in the theme menu and the custom theme list
+ * Rows are updated in place, so editing one theme keeps the focus in the list
+ */
+function renderCustomThemes() {
+  customThemeOptions.replaceChildren(
+    ...customThemes.map(theme => createBubbleElement('option', { text: theme.name, attributes: { value: theme.id } }))
+  );
+  customThemeOptions.hidden = customThemes.length === 0;
+  
+  const rows = customThemes.map(theme => {
+    const row = customThemeList.querySelector(`[data-theme-id="${theme.id}"]`) || createCustomThemeRow(theme);
+    const name = row.querySelector('input[type="text"]');
+    if (document.activeElement !== name) {
+      name.value = theme.name;
+    }
+    row.querySelector('[data-color="background"]').value = theme.background;
+    row.querySelector('[data-color="text"]').value = theme.text;
+    updateContrastReadout(row);
+    return row;
+  });
+  
+  // Rows already in place are not moved, which would blur them
+  Array.from(customThemeList.children)
+    .filter(row => !rows.includes(row))
+    .forEach(row => row.remove());
+  rows.forEach((row, index) => {
+    if (customThemeList.children[index] !== row) {
+      customThemeList.insertBefore(row, customThemeList.children[index] || null);
+    }
+  });
+  
+  customThemeAdd.disabled = customThemes.length >= SETTINGS_SCHEMA.customThemes.maxItems;
+}
+
+/**
+ * Creates the editing row of a custom theme
+ * @param {Object} theme - The custom theme
+ * @returns {HTMLElement} The list item
+ */
+function createCustomThemeRow(theme) {
+  const colorInput = (label, color) => createBubbleElement('label', {}, [
+    label,
+    ' ',
+    createBubbleElement('input', { attributes: { type: 'color', 'data-color': color } })
+  ]);
+  
+  return createBubbleElement('li', { className: 'custom-theme', attributes: { 'data-theme-id': theme.id } }, [
+    createBubbleElement('input', {
+      attributes: { type: 'text', 'aria-label': 'Theme name', maxlength: String(MAX_CUSTOM_THEME_NAME_LENGTH) }
+    }),
+    colorInput('Background', 'background'),
+    colorInput('Text', 'text'),
+    createBubbleElement('button', { text: 'Delete', attributes: { type: 'button', 'data-action': 'delete' } }),
+    createBubbleElement('span', { className: 'custom-theme-contrast', attributes: { 'aria-live': 'polite' } })
+  ]);
+}
+
+/**
+ * Reads a custom theme from its editing row
+ * @param {HTMLElement} row - The list item
+ * @returns {Object} The theme, unvalidated
+ */
+function readCustomThemeRow(row) {
+  return {
+    id: row.dataset.themeId,
+    name: row.querySelector('input[type="text"]').value,
+    background: row.querySelector('[data-color="background"]').value,
+    text: row.querySelector('[data-color="text"]').value
+  };
+}
+
+/**
+ * Shows the contrast ratio of a custom theme's text against its background
+ * @param {HTMLElement} row - The list item
+ */
+function updateContrastReadout(row) {
+  const theme = readCustomThemeRow(row);
+  const ratio = getContrastRatio(parseCssColor(theme.background), parseCssColor(theme.text));
+  const meetsAA = ratio >= WCAG_AA_CONTRAST;
+  
+  const readout = row.querySelector('.custom-theme-contrast');
+  readout.textContent = meetsAA
+    ? `Contrast ${ratio.toFixed(1)}:1, meets WCAG AA`
+    : `Contrast ${ratio.toFixed(1)}:1, below WCAG AA; the text will be adjusted`;
+  readout.classList.toggle('custom-theme-low', !meetsAA);
+}
+
+/**
+ * Saves the custom themes, with any other settings that change along with them
+ * @param {Array<Object>} themes - The custom themes
+ * @param {Object} changes - Other settings to save, e.g. the selected theme
+ * @param {string} status - The message shown once saved
+ */
+async function saveCustomThemes(themes, changes, status) {
+  try {
+    const saved = await saveSettings({ customThemes: themes, ...changes });
+    customThemes = saved.customThemes;
+    renderCustomThemes();
+    
+    const settings = { ...readForm(), ...saved };
+    fillForm(settings);
+    renderPreview(settings);
+    optionsStatus.textContent = status;
+  } catch (error) {
+    console.error('Error saving custom themes:', error);
+    optionsStatus.textContent = 'Could not save the custom themes.';
+  }
+}
+
+/**
+ * Adds a custom theme and selects it
+ */
+function handleCustomThemeAdd() {
+  const theme = { id: `custom-${Date.now().toString(36)}`, ...NEW_CUSTOM_THEME };
+  saveCustomThemes([...customThemes, theme], { theme: theme.id }, 'Custom theme added.');
+}
+
+/**
+ * Updates the contrast readout while a color is being picked
+ * @param {Event} event - The input event from a custom theme row
+ */
+function handleCustomThemeInput(event) {
+  const row = event.target.closest('.custom-theme');
+  if (row && event.target.dataset.color) {
+    updateContrastReadout(row);
+  }
+}
+
+/**
+ * Saves an edited custom theme
+ * @param {Event} event - The change event from a custom theme row
+ */
+function handleCustomThemeChange(event) {
+  const row = event.target.closest('.custom-theme');
+  if (!row) return;
+  
+  const edited = readCustomThemeRow(row);
+  saveCustomThemes(customThemes.map(theme => (theme.id === edited.id ? edited : theme)), {}, 'Saved.');
+}
+
+/**
+ * Deletes a custom theme; the bubble goes back to the automatic theme if it was selected
+ * @param {Event} event - The click event from the custom theme list
+ */
+function handleCustomThemeDelete(event) {
+  const button = event.target.closest('[data-action="delete"]');
+  if (!button) return;
+  
+  const id = button.closest('.custom-theme').dataset.themeId;
+  const changes = settingControls.theme.value === id ? { theme: 'auto' } : {};
+  saveCustomThemes(customThemes.filter(theme => theme.id !== id), changes, 'Custom theme deleted.');
+}
+
+/**
+ * Updates the form when settings change elsewhere
+ * @param {Object} changes - The storage changes
+ * @param {string} areaName - The storage area
+ */
+function handleStorageChange(changes, areaName) {
+  if (areaName !== 'local' || !Object.keys(changes).some(key => settingControls[key] || key === 'customThemes')) return;
+  
+  getSettings().then(settings => {
+    customThemes = settings.customThemes;
+    renderCustomThemes();
+    fillForm(settings);
+    renderPreview(settings);
+  });
+}
+
+/**
+ * Renders the preview bubble with the given settings
+ * @param {Object} settings - The settings by key
+ */
+function renderPreview(settings) {
+  const popup = document.createElement('div');
+  popup.className = 'dictionaread-popup';
+  popup.setAttribute('role', 'dialog');
+  popup.setAttribute('aria-label', 'Dictionary definition preview');
+  popup.style.position = 'relative';
+  
+  // The auto theme contrasts with the stage, as it would with a white page
+  applyBubbleSettings(popup, { ...settings, customThemes: customThemes }, previewStage);
+  popup.append(createDefinitionContent(PREVIEW_DEFINITION, settings));
+  
+  // The headword's transcription, as the content script would fill it in
+  popup.querySelector('.dictionaread-pronunciation').append(
+    createBubbleElement('span', { className: 'dictionaread-ipa', text: PREVIEW_DEFINITION.data.phonetic })
+  );
+  
+  const stylesheet = document.createElement('link');
+  stylesheet.rel = 'stylesheet';
+  stylesheet.href = 'styles.css';
+  previewRoot.replaceChildren(stylesheet, popup);
+}
+
+// Initialize options when DOM is loaded
+document.addEventListener('DOMContentLoaded', initializeOptions);
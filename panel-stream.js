@@ -0,0 +1,132 @@
+/**
+ * Side panel lookup stream for DictionaRead extension
+ * Keeps the lookups of each tab for the side panel in chrome.storage.session, so the
+ * stream survives the service worker going idle but not the browser session
+ * The service worker writes the stream; the side panel reads it and asks the service
+ * worker for changes, so writes never race each other
+ */
+
+const PANEL_STREAM_KEY_PREFIX = 'panelStream:';
+const MAX_PANEL_LOOKUPS = 50; // Per tab; pinned lookups are never evicted
+
+// Name of the port an open side panel keeps to the service worker
+const PANEL_PORT_NAME = 'dictionaread-panel';
+
+// Writes in flight, chained so each one reads the stream the previous one saved
+let panelStreamWrites = Promise.resolve();
+
+/**
+ * Gets the storage key of a tab's stream
+ * @param {number} tabId - The tab ID
+ * @returns {string} The key, e.g. "panelStream:42"
+ */
+function getPanelStreamKey(tabId) {
+  return `${PANEL_STREAM_KEY_PREFIX}${tabId}`;
+}
+
+/**
+ * Loads a tab's lookups
+ * @param {number} tabId - The tab ID
+ * @returns {Promise<Array<Object>>} The lookups, newest first
+ */
+async function getPanelStream(tabId) {
+  const key = getPanelStreamKey(tabId);
+  const result = await chrome.storage.session.get([key]);
+  return Array.isArray(result[key]) ? result[key] : [];
+}
+
+/**
+ * Changes a tab's lookups, one write at a time
+ * @param {number} tabId - The tab ID
+ * @param {Function} update - Takes the lookups, newest first, and returns the new list
+ * @returns {Promise<void>}
+ */
+function updatePanelStream(tabId, update) {
+  const write = panelStreamWrites.then(async () => {
+    const lookups = await getPanelStream(tabId);
+    await chrome.storage.session.set({ [getPanelStreamKey(tabId)]: trimPanelStream(update(lookups)) });
+  });
+  
+  // A failed write must not block the ones queued after it
+  panelStreamWrites = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Adds a lookup to a tab's stream, or updates it when its loading state is replaced by the result
+ * @param {number} tabId - The tab ID
+ * @param {Object} lookup - The lookup, with at least its ID; other fields are merged in
+ * @param {string} lookup.id - The lookup ID, shared by its loading state and result
+ * @param {string} lookup.text - The looked-up text
+ * @param {string} lookup.status - "loading" or "done"
+ * @param {Object|null} lookup.definition - The definition, translation or error result
+ * @param {string} lookup.url - The URL of the page the text came from
+ * @param {string} lookup.title - The title of that page
+ * @param {string} lookup.sentence - The sentence surrounding the selection
+ * @returns {Promise<void>}
+ */
+function savePanelLookup(tabId, lookup) {
+  return updatePanelStream(tabId, lookups => {
+    const existing = lookups.find(item => item.id === lookup.id);
+    if (existing) {
+      return lookups.map(item => (item === existing ? { ...existing, ...lookup } : item));
+    }
+    
+    // A result whose loading state was already evicted or cleared is not brought back
+    if (lookup.status !== 'loading') return lookups;
+    
+    // Newest lookups first
+    return [{ pinned: false, timestamp: Date.now(), ...lookup }, ...lookups];
+  });
+}
+
+/**
+ * Pins or unpins a lookup; pinned lookups stay at the top and survive clearing
+ * @param {number} tabId - The tab ID
+ * @param {string} id - The lookup ID
+ * @param {boolean} pinned - The new pinned state
+ * @returns {Promise<void>}
+ */
+function setPanelLookupPinned(tabId, id, pinned) {
+  return updatePanelStream(tabId, lookups =>
+    lookups.map(item => (item.id === id ? { ...item, pinned: pinned } : item))
+  );
+}
+
+/**
+ * Removes the unpinned lookups of a tab
+ * @param {number} tabId - The tab ID
+ * @returns {Promise<void>}
+ */
+function clearPanelStream(tabId) {
+  return updatePanelStream(tabId, lookups => lookups.filter(item => item.pinned));
+}
+
+/**
+ * Forgets a closed tab's stream
+ * @param {number} tabId - The tab ID
+ * @returns {Promise<void>}
+ */
+async function removePanelStream(tabId) {
+  await chrome.storage.session.remove(getPanelStreamKey(tabId));
+}
+
+/**
+ * Drops the oldest unpinned lookups once a stream grows past its limit
+ * @param {Array<Object>} lookups - The lookups, newest first
+ * @returns {Array<Object>} The trimmed lookups
+ */
+function trimPanelStream(lookups) {
+  let overflow = lookups.length - MAX_PANEL_LOOKUPS;
+  if (overflow <= 0) return lookups;
+  
+  const trimmed = [];
+  for (let i = lookups.length - 1; i >= 0; i--) {
+    if (overflow > 0 && !lookups[i].pinned) {
+      overflow--;
+      continue;
+    }
+    trimmed.unshift(lookups[i]);
+  }
+  return trimmed;
+}
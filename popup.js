@@ -1,11 +1,69 @@
 /**
  * Popup control panel for DictionaRead extension
- * Handles the ON/OFF toggle switch and displays usage instructions
+ * Handles the ON/OFF toggle switch, the per-site switch, usage instructions, the lookup triggers, the "My words"
+ * notebook with its flashcard review and export, the per-site lookup language, the dictionary provider chain and the definition cache
  */
 
 // DOM elements
 const toggleSwitch = document.getElementById('toggleSwitch');
 const shortcutDisplay = document.getElementById('shortcutDisplay');
+const siteSection = document.getElementById('siteSection');
+const siteStatus = document.getElementById('siteStatus');
+const siteToggle = document.getElementById('siteToggle');
+const siteNote = document.getElementById('siteNote');
+const siteHighlightOption = document.getElementById('siteHighlightOption');
+const siteHighlight = document.getElementById('siteHighlight');
+const languageSection = document.getElementById('languageSection');
+const languageSite = document.getElementById('languageSite');
+const siteLanguage = document.getElementById('siteLanguage');
+const wordsSearch = document.getElementById('wordsSearch');
+const wordsSort = document.getElementById('wordsSort');
+const wordsList = document.getElementById('wordsList');
+const wordsCount = document.getElementById('wordsCount');
+const wordsEmpty = document.getElementById('wordsEmpty');
+const wordsClear = document.getElementById('wordsClear');
+const wordsReview = document.getElementById('wordsReview');
+const wordsFormat = document.getElementById('wordsFormat');
+const wordsExport = document.getElementById('wordsExport');
+const wordsImport = document.getElementById('wordsImport');
+const wordsStatus = document.getElementById('wordsStatus');
+const providersList = document.getElementById('providersList');
+const customProviderUrl = document.getElementById('customProviderUrl');
+const customProviderSave = document.getElementById('customProviderSave');
+const providersStatus = document.getElementById('providersStatus');
+const offlineModeSelect = document.getElementById('offlineMode');
+const cacheStats = document.getElementById('cacheStats');
+const cacheMaxEntries = document.getElementById('cacheMaxEntries');
+const cacheTtlHours = document.getElementById('cacheTtlHours');
+const cacheClear = document.getElementById('cacheClear');
+const modeShortcutDisplay = document.getElementById('modeShortcutDisplay');
+const lookupModeSelect = document.getElementById('lookupMode');
+const translationTarget = document.getElementById('translationTarget');
+const translationBackend = document.getElementById('translationBackend');
+const translationUrl = document.getElementById('translationUrl');
+const translationApiKey = document.getElementById('translationApiKey');
+const translationSave = document.getElementById('translationSave');
+const translationStatus = document.getElementById('translationStatus');
+const triggerDoubleClick = document.getElementById('triggerDoubleClick');
+const triggerHover = document.getElementById('triggerHover');
+const hoverModifier = document.getElementById('hoverModifier');
+const triggerContextMenu = document.getElementById('triggerContextMenu');
+const triggersStatus = document.getElementById('triggersStatus');
+const openSidePanel = document.getElementById('openSidePanel');
+const openOptions = document.getElementById('openOptions');
+
+// Saved lookups currently shown in the "My words" view
+let historyEntries = [];
+
+// Every provider ID in display order, and the IDs that are part of the chain
+let providerOrder = [];
+let enabledProviders = new Set();
+
+// Hostname of the tab the popup was opened on, for per-site settings
+let activeHostname = '';
+
+// URL of that tab, checked against the site rules
+let activeUrl = '';
 
 /**
  * Initialize the popup interface
@@ -26,6 +84,53 @@ async function initializePopup() {
     // Update shortcut display based on platform
     updateShortcutDisplay();
     
+    // Everything else lives on the options page
+    openSidePanel.addEventListener('click', handleOpenSidePanelClick);
+    openOptions.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    
+    // Load the double-click, hover and context menu switches
+    [triggerDoubleClick, triggerHover, hoverModifier, triggerContextMenu].forEach(control => {
+      control.addEventListener('change', handleTriggersChange);
+    });
+    await loadTriggers();
+    
+    // Load the on/off switch for the current site
+    siteToggle.addEventListener('click', handleSiteToggleClick);
+    siteHighlight.addEventListener('change', handleSiteHighlightChange);
+    await loadSiteRule();
+    
+    // Load the lookup language for the current site
+    siteLanguage.addEventListener('change', handleSiteLanguageChange);
+    await loadSiteLanguage();
+    
+    // Load the vocabulary notebook
+    wordsSearch.addEventListener('input', renderWordsList);
+    wordsSort.addEventListener('change', renderWordsList);
+    wordsClear.addEventListener('click', handleClearClick);
+    wordsReview.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('review.html') }));
+    wordsExport.addEventListener('click', handleExportClick);
+    // The file chooser can close the popup before a file is picked, so importing happens on the options page
+    wordsImport.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('options.html#vocabulary') }));
+    await loadWords();
+    
+    // Load the dictionary provider chain
+    customProviderSave.addEventListener('click', handleCustomProviderSave);
+    offlineModeSelect.addEventListener('change', handleOfflineModeChange);
+    await loadProviders();
+    
+    // Load the definition cache statistics
+    cacheMaxEntries.addEventListener('change', handleCacheSettingsChange);
+    cacheTtlHours.addEventListener('change', handleCacheSettingsChange);
+    cacheClear.addEventListener('click', handleCacheClear);
+    await loadCacheStats();
+    
+    // Load the translation settings
+    lookupModeSelect.addEventListener('change', handleLookupModeChange);
+    translationTarget.addEventListener('change', handleTranslationTargetChange);
+    translationBackend.addEventListener('change', updateTranslationUrlHint);
+    translationSave.addEventListener('click', handleTranslationSave);
+    await loadTranslationSettings();
+    
   } catch (error) {
     console.error('Error initializing popup:', error);
     // Fallback to enabled state if there's an error
@@ -81,8 +186,703 @@ function updateShortcutDisplay() {
   
   if (isMac) {
     shortcutDisplay.textContent = 'Cmd+Shift+L';
+    modeShortcutDisplay.textContent = 'Cmd+Shift+Y';
   } else {
     shortcutDisplay.textContent = 'Ctrl+Shift+L';
+    modeShortcutDisplay.textContent = 'Ctrl+Shift+Y';
+  }
+}
+
+/**
+ * Opens the side panel in the popup's window, where lookups collect next to the page
+ */
+async function handleOpenSidePanelClick() {
+  try {
+    const currentWindow = await chrome.windows.getCurrent();
+    await chrome.sidePanel.open({ windowId: currentWindow.id });
+    window.close();
+  } catch (error) {
+    console.error('Error opening side panel:', error);
+  }
+}
+
+/**
+ * Loads the lookup trigger switches from storage
+ */
+async function loadTriggers() {
+  const settings = await getSettings(['triggerDoubleClick', 'triggerHover', 'hoverModifier', 'triggerContextMenu']);
+  
+  triggerDoubleClick.checked = settings.triggerDoubleClick;
+  triggerHover.checked = settings.triggerHover;
+  hoverModifier.value = settings.hoverModifier;
+  triggerContextMenu.checked = settings.triggerContextMenu;
+}
+
+/**
+ * Persists the lookup trigger switches; open tabs and the context menu follow the change
+ */
+async function handleTriggersChange() {
+  try {
+    await saveSettings({
+      triggerDoubleClick: triggerDoubleClick.checked,
+      triggerHover: triggerHover.checked,
+      hoverModifier: hoverModifier.value,
+      triggerContextMenu: triggerContextMenu.checked
+    });
+    triggersStatus.textContent = '';
+  } catch (error) {
+    console.error('Error saving lookup triggers:', error);
+    triggersStatus.textContent = 'Could not save the lookup triggers.';
+  }
+}
+
+/**
+ * Shows whether the site rules allow the active tab's site, if it is a web page
+ */
+async function loadSiteRule() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  
+  try {
+    const url = new URL(tab?.url || '');
+    if (!['http:', 'https:'].includes(url.protocol)) return;
+    activeUrl = url.href;
+  } catch (error) {
+    return; // No URL access, e.g. on browser pages
+  }
+  
+  await renderSiteRule();
+  siteSection.hidden = false;
+}
+
+/**
+ * Updates the site switch and the saved-word underline switch from the current site rules
+ */
+async function renderSiteRule() {
+  const settings = await getSettings(['siteRuleMode', 'siteRules', 'highlightWords', 'highlightExcludedSites']);
+  const hostname = new URL(activeUrl).hostname;
+  const isEnabled = isSiteEnabled(activeUrl, settings);
+  
+  siteStatus.textContent = `${isEnabled ? 'Active' : 'Off'} on ${hostname}`;
+  siteToggle.textContent = isEnabled ? 'Disable on this site' : 'Enable on this site';
+  
+  // Underlining is switched on globally on the options page
+  siteHighlightOption.hidden = !settings.highlightWords || !isEnabled;
+  siteHighlight.checked = getMatchingSiteRules(hostname, settings.highlightExcludedSites).length === 0;
+}
+
+/**
+ * Switches DictionaRead on or off for the active tab's site
+ * In blocklist mode the site is added to or removed from the blocked sites, in allowlist
+ * mode to or from the allowed ones. Wildcard rules are left for the options page
+ */
+async function handleSiteToggleClick() {
+  try {
+    const settings = await getSettings(['siteRuleMode', 'siteRules']);
+    const hostname = new URL(activeUrl).hostname;
+    const isEnabled = isSiteEnabled(activeUrl, settings);
+    const isAllowlist = settings.siteRuleMode === 'allowlist';
+    
+    let siteRules;
+    if (isEnabled !== isAllowlist) {
+      // Blocking in blocklist mode, or allowing in allowlist mode: add a rule
+      siteRules = [...settings.siteRules, hostname];
+    } else {
+      // Otherwise drop the plain domain rules that cover this site
+      siteRules = settings.siteRules.filter(pattern =>
+        pattern.includes('*') || !matchesSitePattern(hostname, pattern)
+      );
+    }
+    
+    await saveSettings({ siteRules: siteRules });
+    
+    // A wildcard rule may still decide for this site
+    const wildcardRules = getMatchingSiteRules(hostname, siteRules).filter(pattern => pattern.includes('*'));
+    siteNote.hidden = wildcardRules.length === 0;
+    siteNote.textContent = `Also matched by ${wildcardRules.join(', ')}; edit the rules in All settings.`;
+    
+    await renderSiteRule();
+  } catch (error) {
+    console.error('Error saving site rule:', error);
+    siteNote.hidden = false;
+    siteNote.textContent = 'Could not save the site rule.';
+  }
+}
+
+/**
+ * Switches the underlining of saved words on or off for the active tab's site
+ */
+async function handleSiteHighlightChange() {
+  try {
+    const settings = await getSettings(['highlightExcludedSites']);
+    const hostname = new URL(activeUrl).hostname;
+    
+    const highlightExcludedSites = siteHighlight.checked
+      ? settings.highlightExcludedSites.filter(pattern => pattern.includes('*') || !matchesSitePattern(hostname, pattern))
+      : [...settings.highlightExcludedSites, hostname];
+    await saveSettings({ highlightExcludedSites: highlightExcludedSites });
+    
+    // A wildcard pattern may still keep underlines off here
+    const wildcardRules = getMatchingSiteRules(hostname, highlightExcludedSites).filter(pattern => pattern.includes('*'));
+    siteNote.hidden = wildcardRules.length === 0;
+    siteNote.textContent = `Underlines are also off for ${wildcardRules.join(', ')}; edit the list in All settings.`;
+    
+    await renderSiteRule();
+  } catch (error) {
+    console.error('Error saving underline setting:', error);
+    siteNote.hidden = false;
+    siteNote.textContent = 'Could not save the underline setting.';
+  }
+}
+
+/**
+ * Shows the language picker for the active tab's site, if it is a web page
+ */
+async function loadSiteLanguage() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  
+  try {
+    const url = new URL(tab?.url || '');
+    if (!['http:', 'https:', 'file:'].includes(url.protocol)) return;
+    activeHostname = url.hostname;
+  } catch (error) {
+    return; // No URL access, e.g. on browser pages
+  }
+  
+  Object.entries(LOOKUP_LANGUAGES).forEach(([code, name]) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = name;
+    siteLanguage.appendChild(option);
+  });
+  
+  const result = await chrome.storage.local.get(['siteLanguages']);
+  siteLanguage.value = result.siteLanguages?.[activeHostname] || '';
+  languageSite.textContent = activeHostname ? `on ${activeHostname}` : 'on local files';
+  languageSection.hidden = false;
+}
+
+/**
+ * Saves or clears the lookup language override for the active tab's site
+ */
+async function handleSiteLanguageChange() {
+  try {
+    const result = await chrome.storage.local.get(['siteLanguages']);
+    const siteLanguages = result.siteLanguages || {};
+    
+    if (siteLanguage.value) {
+      siteLanguages[activeHostname] = siteLanguage.value;
+    } else {
+      delete siteLanguages[activeHostname];
+    }
+    
+    await chrome.storage.local.set({ siteLanguages: siteLanguages });
+  } catch (error) {
+    console.error('Error saving site language:', error);
+  }
+}
+
+/**
+ * Loads saved lookups from storage and renders the "My words" view with the due card count
+ */
+async function loadWords() {
+  historyEntries = await getHistory();
+  renderWordsList();
+  
+  const dueCount = await getDueCount();
+  wordsReview.textContent = dueCount > 0 ? `Review words (${dueCount} due)` : 'Review words';
+}
+
+/**
+ * Returns the first definition text of a saved entry for the list summary
+ * @param {Object} entry - The history entry
+ * @returns {string} The first definition, or an empty string
+ */
+function getEntrySummary(entry) {
+  const meaning = entry.definition?.meanings?.[0];
+  const firstDefinition = meaning?.definitions?.[0]?.definition || '';
+  return meaning?.partOfSpeech ? `${meaning.partOfSpeech} · ${firstDefinition}` : firstDefinition;
+}
+
+/**
+ * Filters and sorts saved lookups according to the search box and sort menu
+ * @returns {Array<Object>} The entries to display
+ */
+function getVisibleEntries() {
+  const query = wordsSearch.value.trim().toLowerCase();
+  
+  const filtered = historyEntries.filter(entry => {
+    if (!query) return true;
+    return [entry.word, getEntrySummary(entry), entry.title, entry.sentence]
+      .some(field => (field || '').toLowerCase().includes(query));
+  });
+  
+  switch (wordsSort.value) {
+    case 'oldest':
+      return filtered.sort((a, b) => a.timestamp - b.timestamp);
+    case 'alphabetical':
+      return filtered.sort((a, b) => a.word.localeCompare(b.word));
+    case 'starred':
+      return filtered.sort((a, b) => (b.starred - a.starred) || (b.timestamp - a.timestamp));
+    default:
+      return filtered.sort((a, b) => b.timestamp - a.timestamp);
+  }
+}
+
+/**
+ * Renders the "My words" list
+ */
+function renderWordsList() {
+  const entries = getVisibleEntries();
+  
+  wordsList.replaceChildren(...entries.map(createWordItem));
+  wordsCount.textContent = historyEntries.length === 1 ? '1 word' : `${historyEntries.length} words`;
+  wordsEmpty.hidden = entries.length > 0;
+  wordsEmpty.textContent = historyEntries.length > 0
+    ? 'No words match your search.'
+    : 'No words yet. Look something up to start your notebook.';
+  wordsClear.hidden = historyEntries.length === 0;
+}
+
+/**
+ * Creates a list item for a saved lookup
+ * @param {Object} entry - The history entry
+ * @returns {HTMLElement} The list item element
+ */
+function createWordItem(entry) {
+  const item = document.createElement('li');
+  item.className = 'word-item';
+  
+  const body = document.createElement('div');
+  body.className = 'word-body';
+  
+  const title = document.createElement('div');
+  title.className = 'word-title';
+  title.textContent = entry.word;
+  
+  const summary = document.createElement('div');
+  summary.className = 'word-summary';
+  summary.textContent = getEntrySummary(entry);
+  summary.title = entry.sentence || '';
+  
+  body.append(title, summary);
+  
+  // Entries imported before URLs were checked may hold other schemes
+  if (isWebUrl(entry.url)) {
+    const source = document.createElement('div');
+    source.className = 'word-source';
+    const link = document.createElement('a');
+    link.href = entry.url;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = entry.title || entry.url;
+    source.append(link, ` · ${new Date(entry.timestamp).toLocaleDateString()}`);
+    body.appendChild(source);
+  }
+  
+  const starButton = document.createElement('button');
+  starButton.className = `word-action${entry.starred ? ' starred' : ''}`;
+  starButton.textContent = entry.starred ? '★' : '☆';
+  starButton.setAttribute('aria-label', entry.starred ? `Unstar ${entry.word}` : `Star ${entry.word}`);
+  starButton.addEventListener('click', () => handleStarClick(entry));
+  
+  const deleteButton = document.createElement('button');
+  deleteButton.className = 'word-action delete';
+  deleteButton.textContent = '×';
+  deleteButton.setAttribute('aria-label', `Delete ${entry.word}`);
+  deleteButton.addEventListener('click', () => handleDeleteClick(entry));
+  
+  item.append(body, starButton, deleteButton);
+  return item;
+}
+
+/**
+ * Toggles the starred state of a saved lookup
+ * @param {Object} entry - The history entry
+ */
+async function handleStarClick(entry) {
+  try {
+    await setHistoryEntryStarred(entry.id, !entry.starred);
+    await loadWords();
+  } catch (error) {
+    console.error('Error starring word:', error);
+  }
+}
+
+/**
+ * Deletes a saved lookup
+ * @param {Object} entry - The history entry
+ */
+async function handleDeleteClick(entry) {
+  try {
+    await deleteHistoryEntry(entry.id);
+    await loadWords();
+  } catch (error) {
+    console.error('Error deleting word:', error);
+  }
+}
+
+/**
+ * Clears all saved lookups after a second confirming click
+ */
+async function handleClearClick() {
+  if (!wordsClear.classList.contains('confirming')) {
+    wordsClear.classList.add('confirming');
+    wordsClear.textContent = 'Click again to clear all words';
+    return;
+  }
+  
+  try {
+    await clearHistory();
+    wordsClear.classList.remove('confirming');
+    wordsClear.textContent = 'Clear all';
+    await loadWords();
+  } catch (error) {
+    console.error('Error clearing words:', error);
+  }
+}
+
+/**
+ * Downloads the words shown in the list (all of them unless a search is active)
+ * in the chosen export format
+ */
+function handleExportClick() {
+  const entries = getVisibleEntries();
+  if (entries.length === 0) {
+    wordsStatus.textContent = 'No words to export.';
+    return;
+  }
+  
+  try {
+    const file = exportVocabulary(entries, wordsFormat.value);
+    const url = URL.createObjectURL(new Blob([file.text], { type: `${file.mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    
+    wordsStatus.textContent = entries.length === 1 ? 'Exported 1 word.' : `Exported ${entries.length} words.`;
+  } catch (error) {
+    console.error('Error exporting words:', error);
+    wordsStatus.textContent = 'Could not export the words.';
+  }
+}
+
+/**
+ * Loads the provider chain and custom endpoint from storage
+ */
+async function loadProviders() {
+  const result = await chrome.storage.local.get(['providerChain', 'customProviderUrl', 'offlineMode']);
+  const chain = Array.isArray(result.providerChain) && result.providerChain.length > 0
+    ? result.providerChain.filter(id => DICTIONARY_PROVIDERS[id])
+    : DEFAULT_PROVIDER_CHAIN;
+  
+  // Chain members first, in order, followed by the disabled providers
+  providerOrder = [...chain, ...Object.keys(DICTIONARY_PROVIDERS).filter(id => !chain.includes(id))];
+  enabledProviders = new Set(chain);
+  customProviderUrl.value = result.customProviderUrl || '';
+  offlineModeSelect.value = result.offlineMode || 'fallback';
+  
+  renderProvidersList();
+}
+
+/**
+ * Renders the provider chain with enable checkboxes and reorder buttons
+ */
+function renderProvidersList() {
+  const items = providerOrder.map((id, index) => {
+    const item = document.createElement('li');
+    item.className = 'provider-item';
+    
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = enabledProviders.has(id);
+    checkbox.addEventListener('change', () => handleProviderToggle(id, checkbox.checked));
+    label.append(checkbox, DICTIONARY_PROVIDERS[id].name);
+    
+    const upButton = createProviderMoveButton('▲', `Move ${DICTIONARY_PROVIDERS[id].name} up`, index === 0);
+    upButton.addEventListener('click', () => moveProvider(index, -1));
+    
+    const downButton = createProviderMoveButton('▼', `Move ${DICTIONARY_PROVIDERS[id].name} down`, index === providerOrder.length - 1);
+    downButton.addEventListener('click', () => moveProvider(index, 1));
+    
+    item.append(label, upButton, downButton);
+    return item;
+  });
+  
+  providersList.replaceChildren(...items);
+}
+
+/**
+ * Creates a small button that moves a provider up or down the chain
+ * @param {string} symbol - The arrow shown on the button
+ * @param {string} label - The accessible label
+ * @param {boolean} disabled - Whether the move is impossible
+ * @returns {HTMLButtonElement} The button
+ */
+function createProviderMoveButton(symbol, label, disabled) {
+  const button = document.createElement('button');
+  button.className = 'provider-move';
+  button.textContent = symbol;
+  button.disabled = disabled;
+  button.setAttribute('aria-label', label);
+  return button;
+}
+
+/**
+ * Enables or disables a provider, keeping at least one in the chain
+ * @param {string} id - The provider ID
+ * @param {boolean} enabled - Whether the provider should be tried
+ */
+async function handleProviderToggle(id, enabled) {
+  if (!enabled && enabledProviders.size === 1 && enabledProviders.has(id)) {
+    providersStatus.textContent = 'At least one source must stay enabled.';
+    renderProvidersList();
+    return;
+  }
+  
+  if (enabled) {
+    enabledProviders.add(id);
+  } else {
+    enabledProviders.delete(id);
+  }
+  await saveProviderChain();
+}
+
+/**
+ * Moves a provider one step up or down the chain
+ * @param {number} index - The provider's current position
+ * @param {number} direction - -1 to move up, 1 to move down
+ */
+async function moveProvider(index, direction) {
+  const target = index + direction;
+  if (target < 0 || target >= providerOrder.length) return;
+  
+  [providerOrder[index], providerOrder[target]] = [providerOrder[target], providerOrder[index]];
+  await saveProviderChain();
+}
+
+/**
+ * Persists the enabled providers in display order
+ */
+async function saveProviderChain() {
+  try {
+    const chain = providerOrder.filter(id => enabledProviders.has(id));
+    await chrome.storage.local.set({ providerChain: chain });
+    providersStatus.textContent = '';
+  } catch (error) {
+    console.error('Error saving provider chain:', error);
+    providersStatus.textContent = 'Could not save your sources.';
+  }
+  renderProvidersList();
+}
+
+/**
+ * Saves the custom endpoint URL once it is a valid http(s) URL containing {word}, or removes it when empty
+ */
+async function handleCustomProviderSave() {
+  const value = customProviderUrl.value.trim();
+  
+  if (!value) {
+    await chrome.storage.local.remove('customProviderUrl');
+    providersStatus.textContent = 'Custom endpoint removed.';
+    return;
+  }
+  
+  let url;
+  try {
+    url = new URL(value.replace('{word}', 'word'));
+  } catch (error) {
+    providersStatus.textContent = 'Please enter a valid URL.';
+    return;
+  }
+  
+  if (!value.includes('{word}') || !['http:', 'https:'].includes(url.protocol)) {
+    providersStatus.textContent = 'Use an http(s) URL containing {word}.';
+    return;
+  }
+  
+  // Host access to all sites already covers the endpoint
+  try {
+    await chrome.storage.local.set({ customProviderUrl: value });
+    providersStatus.textContent = enabledProviders.has('custom')
+      ? 'Custom endpoint saved.'
+      : 'Custom endpoint saved. Tick it above to use it.';
+  } catch (error) {
+    console.error('Error saving custom endpoint:', error);
+    providersStatus.textContent = 'Could not save the custom endpoint.';
+  }
+}
+
+/**
+ * Persists when the bundled offline dictionary should answer lookups
+ */
+async function handleOfflineModeChange() {
+  try {
+    await chrome.storage.local.set({ offlineMode: offlineModeSelect.value });
+  } catch (error) {
+    console.error('Error saving offline mode:', error);
+    providersStatus.textContent = 'Could not save the offline setting.';
+  }
+}
+
+/**
+ * Asks the background service worker for cache statistics and renders them
+ */
+async function loadCacheStats() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getCacheStats' });
+    if (!response?.success) throw new Error(response?.error || 'No response');
+    
+    const { entries, hits, misses, maxEntries, ttlHours } = response.stats;
+    const lookups = hits + misses;
+    const hitRate = lookups > 0 ? Math.round((hits / lookups) * 100) : 0;
+    
+    cacheStats.textContent = `Cache: ${entries} of ${maxEntries} words · ${hits} hits, ${misses} misses (${hitRate}% hit rate)`;
+    cacheMaxEntries.value = maxEntries;
+    cacheTtlHours.value = ttlHours;
+  } catch (error) {
+    console.error('Error loading cache stats:', error);
+    cacheStats.textContent = 'Cache statistics are unavailable.';
+  }
+}
+
+/**
+ * Persists the cache size limit and time-to-live
+ */
+async function handleCacheSettingsChange() {
+  const maxEntries = parseInt(cacheMaxEntries.value, 10);
+  const ttlHours = parseInt(cacheTtlHours.value, 10);
+  
+  if (!(maxEntries >= 10) || !(ttlHours >= 1)) {
+    providersStatus.textContent = 'Cache size must be at least 10 and duration at least 1 hour.';
+    return;
+  }
+  
+  try {
+    await chrome.storage.local.set({ cacheMaxEntries: maxEntries, cacheTtlHours: ttlHours });
+    providersStatus.textContent = 'Cache settings saved.';
+  } catch (error) {
+    console.error('Error saving cache settings:', error);
+    providersStatus.textContent = 'Could not save the cache settings.';
+  }
+}
+
+/**
+ * Empties the definition cache
+ */
+async function handleCacheClear() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'clearCache' });
+    if (!response?.success) throw new Error(response?.error || 'No response');
+    providersStatus.textContent = 'Cache cleared.';
+    await loadCacheStats();
+  } catch (error) {
+    console.error('Error clearing cache:', error);
+    providersStatus.textContent = 'Could not clear the cache.';
+  }
+}
+
+/**
+ * Loads the lookup mode and translation backend settings from storage
+ */
+async function loadTranslationSettings() {
+  Object.entries(LOOKUP_LANGUAGES).forEach(([code, name]) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = name;
+    translationTarget.appendChild(option);
+  });
+  Object.entries(TRANSLATION_BACKENDS).forEach(([id, backend]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = backend.name;
+    translationBackend.appendChild(option);
+  });
+  
+  const result = await chrome.storage.local.get([
+    'lookupMode', 'translationTargetLanguage', 'translationBackend', 'translationUrl', 'translationApiKey'
+  ]);
+  const uiLanguage = normalizeLanguageCode(chrome.i18n.getUILanguage());
+  
+  lookupModeSelect.value = result.lookupMode || 'define';
+  translationTarget.value = result.translationTargetLanguage
+    || (LOOKUP_LANGUAGES[uiLanguage] ? uiLanguage : DEFAULT_LOOKUP_LANGUAGE);
+  translationBackend.value = result.translationBackend || DEFAULT_TRANSLATION_BACKEND;
+  translationUrl.value = result.translationUrl || '';
+  translationApiKey.value = result.translationApiKey || '';
+  updateTranslationUrlHint();
+}
+
+/**
+ * Shows the URL format the selected translation backend expects
+ */
+function updateTranslationUrlHint() {
+  translationUrl.placeholder = TRANSLATION_BACKENDS[translationBackend.value]?.urlHint || '';
+}
+
+/**
+ * Persists whether the lookup shortcut defines or translates the selection
+ */
+async function handleLookupModeChange() {
+  try {
+    await chrome.storage.local.set({ lookupMode: lookupModeSelect.value });
+  } catch (error) {
+    console.error('Error saving lookup mode:', error);
+    translationStatus.textContent = 'Could not save the mode.';
+  }
+}
+
+/**
+ * Persists the language selections are translated into
+ */
+async function handleTranslationTargetChange() {
+  try {
+    await chrome.storage.local.set({ translationTargetLanguage: translationTarget.value });
+  } catch (error) {
+    console.error('Error saving translation language:', error);
+    translationStatus.textContent = 'Could not save the language.';
+  }
+}
+
+/**
+ * Saves the translation backend, its URL and API key once the URL is a valid http(s) URL
+ * (containing {text} for a custom endpoint)
+ */
+async function handleTranslationSave() {
+  const backendId = translationBackend.value;
+  const value = translationUrl.value.trim() || (backendId === 'libretranslate' ? DEFAULT_TRANSLATION_URL : '');
+  
+  let url;
+  try {
+    url = new URL(value.replace(/\{(text|source|target)\}/g, 'x'));
+  } catch (error) {
+    translationStatus.textContent = 'Please enter a valid URL.';
+    return;
+  }
+  
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    translationStatus.textContent = 'Use an http(s) URL.';
+    return;
+  }
+  
+  if (backendId === 'custom' && !value.includes('{text}')) {
+    translationStatus.textContent = 'A custom endpoint URL must contain {text}.';
+    return;
+  }
+  
+  // Host access to all sites already covers the service
+  try {
+    await chrome.storage.local.set({
+      translationBackend: backendId,
+      translationUrl: value,
+      translationApiKey: translationApiKey.value.trim()
+    });
+    translationStatus.textContent = 'Translation service saved.';
+  } catch (error) {
+    console.error('Error saving translation service:', error);
+    translationStatus.textContent = 'Could not save the translation service.';
   }
 }
 
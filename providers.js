@@ -0,0 +1,361 @@
+/**
+ * Dictionary providers for DictionaRead extension
+ * Adapts each dictionary service to one normalized definition model and
+ * looks words up through the user's ordered fallback chain
+ */
+
+/**
+ * Normalized definition entry returned by every provider
+ * @typedef {Object} DefinitionEntry
+ * @property {string} word - The headword
+ * @property {string} phonetic - The main phonetic transcription, if any
+ * @property {Array<{text: string, audio: string, accent: string}>} phonetics - Transcriptions, audio URLs
+ *   and the accent they belong to ("us", "uk", "au" or "" when unknown)
+ * @property {Array<Meaning>} meanings - Senses grouped by part of speech
+ * @property {Array<string>} sourceUrls - Pages the entry was taken from
+ * @property {{name: string, url: string}|null} license - The license the entry is published under
+ */
+
+/**
+ * @typedef {Object} Meaning
+ * @property {string} partOfSpeech - The part of speech, e.g. "noun"
+ * @property {Array<{definition: string, example: string, synonyms: Array<string>, antonyms: Array<string>}>} definitions
+ * @property {Array<string>} synonyms - Synonyms shared by every sense
+ * @property {Array<string>} antonyms - Antonyms shared by every sense
+ */
+
+const DICTIONARY_API_BASE = 'https://api.dictionaryapi.dev/api/v2/entries/';
+const WIKTIONARY_API_BASE = 'https://en.wiktionary.org/api/rest_v1/page/definition/';
+const WIKTIONARY_PAGE_BASE = 'https://en.wiktionary.org/wiki/';
+const WIKTIONARY_LICENSE = { name: 'CC BY-SA 4.0', url: 'https://creativecommons.org/licenses/by-sa/4.0/' };
+
+// Providers tried in order when the user has not configured a chain
+const DEFAULT_PROVIDER_CHAIN = ['dictionaryapi', 'wiktionary'];
+
+// Language used when neither the page nor the user names one
+const DEFAULT_LOOKUP_LANGUAGE = 'en';
+
+// Languages offered in the control panel's language picker
+const LOOKUP_LANGUAGES = {
+  en: 'English',
+  es: 'Español',
+  de: 'Deutsch',
+  fr: 'Français',
+  it: 'Italiano',
+  pt: 'Português',
+  nl: 'Nederlands',
+  sv: 'Svenska',
+  pl: 'Polski',
+  ru: 'Русский',
+  tr: 'Türkçe',
+  ja: '日本語',
+  zh: '中文',
+  ko: '한국어',
+  ar: 'العربية',
+  hi: 'हिन्दी'
+};
+
+// Built-in providers, keyed by the ID stored in the user's chain
+// "languages" lists the language codes a provider can define, or '*' for any
+const DICTIONARY_PROVIDERS = {
+  dictionaryapi: {
+    name: 'Free Dictionary API',
+    languages: ['en'],
+    lookup: lookupDictionaryApi
+  },
+  wiktionary: {
+    name: 'Wiktionary',
+    languages: '*',
+    lookup: lookupWiktionary
+  },
+  custom: {
+    name: 'Custom endpoint',
+    languages: '*',
+    lookup: lookupCustomEndpoint
+  }
+};
+
+/**
+ * Reduces a BCP 47 language tag to its primary language, e.g. "en-GB" to "en"
+ * @param {string} tag - The language tag
+ * @returns {string} The lower-case primary language code, or an empty string
+ */
+function normalizeLanguageCode(tag) {
+  const match = String(tag || '').trim().match(/^([a-z]{2,3})(?:[-_]|$)/i);
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Checks whether a provider can define words in a language
+ * @param {Object} provider - The provider
+ * @param {string} language - The language code
+ * @returns {boolean} True if the provider supports the language
+ */
+function providerSupportsLanguage(provider, language) {
+  return provider.languages === '*' || provider.languages.includes(language);
+}
+
+/**
+ * Looks a word up with each provider in the chain until one returns a definition
+ * @param {string} word - The word or phrase to look up
+ * @param {Object} options - Lookup options
+ * @param {Array<string>} options.chain - Ordered provider IDs to try
+ * @param {string} options.language - The lookup language code
+ * @param {number} options.timeout - Per-provider timeout in milliseconds
+ * @param {string} options.customUrl - URL template for the custom endpoint provider
+ * @returns {Promise<Object>} The definition result or error object
+ */
+async function lookupWithProviders(word, options) {
+  const chain = options.chain.filter(id =>
+    DICTIONARY_PROVIDERS[id] && providerSupportsLanguage(DICTIONARY_PROVIDERS[id], options.language)
+  );
+  const failures = [];
+  
+  for (const id of chain) {
+    const provider = DICTIONARY_PROVIDERS[id];
+    
+    try {
+      const entries = await provider.lookup(word, options);
+      
+      if (entries.length > 0) {
+        return {
+          success: true,
+          data: entries[0], // Primary entry, used for history and headword
+          entries: entries, // Every homograph, in the provider's order
+          word: word,
+          source: { id: id, name: provider.name }
+        };
+      }
+      
+      failures.push('Not found');
+    } catch (error) {
+      console.log(`Provider ${id} failed for "${word}":`, error.message);
+      failures.push(error.message);
+    }
+  }
+  
+  return {
+    success: false,
+    error: describeProviderFailures(failures),
+    word: word
+  };
+}
+
+/**
+ * Summarizes why every provider in the chain failed
+ * @param {Array<string>} failures - The error message from each provider
+ * @returns {string} The error shown to the user
+ */
+function describeProviderFailures(failures) {
+  if (failures.length > 0 && failures.every(message => message === 'Not found')) {
+    return 'No definition found';
+  }
+  if (failures.length > 0 && failures.every(message => message === 'API timeout')) {
+    return 'Request timed out';
+  }
+  return 'Failed to fetch definition';
+}
+
+/**
+ * Fetches JSON from a dictionary or translation service with timeout handling
+ * @param {string} url - The URL to fetch
+ * @param {number} timeout - Timeout in milliseconds
+ * @param {Object} init - Extra fetch options, e.g. for POST requests
+ * @returns {Promise<*>} The parsed response body
+ */
+async function fetchJsonWithTimeout(url, timeout, init = {}) {
+  let timeoutId;
+  
+  // Create a timeout promise
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => reject(new Error('API timeout')), timeout);
+  });
+  
+  // Create the API request promise
+  const apiPromise = fetch(url, { ...init, headers: { Accept: 'application/json', ...init.headers } })
+    .then(response => {
+      if (response.status === 404) {
+        throw new Error('Not found');
+      }
+      if (!response.ok) {
+        throw new Error(`API returned ${response.status}: ${response.statusText}`);
+      }
+      return response.json();
+    });
+  
+  try {
+    // Race between API call and timeout
+    return await Promise.race([apiPromise, timeoutPromise]);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Looks a word up on dictionaryapi.dev
+ * @param {string} word - The word to look up
+ * @param {Object} options - Lookup options
+ * @returns {Promise<Array<DefinitionEntry>>} The normalized entries
+ */
+async function lookupDictionaryApi(word, options) {
+  const url = `${DICTIONARY_API_BASE}${options.language}/${encodeURIComponent(word)}`;
+  const result = await fetchJsonWithTimeout(url, options.timeout);
+  return Array.isArray(result) ? result.map(normalizeDictionaryApiEntry) : [];
+}
+
+/**
+ * Looks a word up through the Wiktionary REST API
+ * English Wiktionary defines words of every language, grouped by language code
+ * Wiktionary titles are case-sensitive, so a capitalized selection is retried in lower case
+ * @param {string} word - The word to look up
+ * @param {Object} options - Lookup options
+ * @returns {Promise<Array<DefinitionEntry>>} The normalized entries
+ */
+async function lookupWiktionary(word, options) {
+  const titles = word === word.toLowerCase() ? [word] : [word, word.toLowerCase()];
+  
+  for (const title of titles) {
+    try {
+      const result = await fetchJsonWithTimeout(`${WIKTIONARY_API_BASE}${encodeURIComponent(title)}`, options.timeout);
+      const entry = normalizeWiktionaryResult(title, result, options.language);
+      if (entry) return [entry];
+    } catch (error) {
+      if (error.message !== 'Not found') throw error;
+    }
+  }
+  
+  return [];
+}
+
+/**
+ * Looks a word up on the user's custom endpoint
+ * The URL template must contain {word} and may contain {lang}; the endpoint may answer with dictionaryapi.dev-style
+ * entries, a single entry or an object with an "entries" array
+ * @param {string} word - The word to look up
+ * @param {Object} options - Lookup options
+ * @returns {Promise<Array<DefinitionEntry>>} The normalized entries
+ */
+async function lookupCustomEndpoint(word, options) {
+  if (!options.customUrl || !options.customUrl.includes('{word}')) {
+    throw new Error('Custom endpoint not configured');
+  }
+  
+  const url = options.customUrl
+    .replace('{word}', encodeURIComponent(word))
+    .replace('{lang}', encodeURIComponent(options.language));
+  const result = await fetchJsonWithTimeout(url, options.timeout);
+  
+  let entries = [];
+  if (Array.isArray(result)) {
+    entries = result;
+  } else if (result && Array.isArray(result.entries)) {
+    entries = result.entries;
+  } else if (result && Array.isArray(result.meanings)) {
+    entries = [result];
+  }
+  
+  return entries.map(normalizeDictionaryApiEntry).filter(entry => entry.meanings.length > 0);
+}
+
+/**
+ * Converts a dictionaryapi.dev-shaped entry into the normalized model
+ * @param {Object} entry - The raw entry
+ * @returns {DefinitionEntry} The normalized entry
+ */
+function normalizeDictionaryApiEntry(entry) {
+  const toStrings = list => (Array.isArray(list) ? list.filter(item => typeof item === 'string') : []);
+  
+  return {
+    word: String(entry.word || ''),
+    phonetic: String(entry.phonetic || ''),
+    phonetics: (Array.isArray(entry.phonetics) ? entry.phonetics : []).map(phonetic => ({
+      text: String(phonetic.text || ''),
+      audio: String(phonetic.audio || ''),
+      accent: String(phonetic.accent || getAudioAccent(phonetic.audio))
+    })),
+    meanings: (Array.isArray(entry.meanings) ? entry.meanings : []).map(meaning => ({
+      partOfSpeech: String(meaning.partOfSpeech || ''),
+      definitions: (Array.isArray(meaning.definitions) ? meaning.definitions : []).map(def => ({
+        definition: String(def.definition || ''),
+        example: String(def.example || ''),
+        synonyms: toStrings(def.synonyms),
+        antonyms: toStrings(def.antonyms)
+      })),
+      synonyms: toStrings(meaning.synonyms),
+      antonyms: toStrings(meaning.antonyms)
+    })),
+    sourceUrls: toStrings(entry.sourceUrls),
+    license: entry.license?.name
+      ? { name: String(entry.license.name), url: String(entry.license.url || '') }
+      : null
+  };
+}
+
+/**
+ * Reads the accent from a dictionaryapi.dev audio file name, e.g. "hello-uk.mp3"
+ * @param {string} audioUrl - The pronunciation audio URL
+ * @returns {string} The accent code, or an empty string if it cannot be told
+ */
+function getAudioAccent(audioUrl) {
+  const match = String(audioUrl || '').match(/-(us|uk|au|ca|ie|nz|in)\.(mp3|ogg|wav)$/i);
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Converts a Wiktionary REST definition response into the normalized model
+ * @param {string} word - The page title that was looked up
+ * @param {Object} result - The raw response, keyed by language code
+ * @param {string} language - The language whose senses to keep
+ * @returns {DefinitionEntry|null} The normalized entry, or null if it has no senses in that language
+ */
+function normalizeWiktionaryResult(word, result, language) {
+  const sections = Array.isArray(result?.[language]) ? result[language] : [];
+  
+  const meanings = sections
+    .map(section => ({
+      partOfSpeech: String(section.partOfSpeech || '').toLowerCase(),
+      definitions: (section.definitions || [])
+        .map(def => ({
+          definition: stripHtml(def.definition),
+          example: stripHtml((def.examples || [])[0]),
+          synonyms: [],
+          antonyms: []
+        }))
+        .filter(def => def.definition.length > 0),
+      synonyms: [],
+      antonyms: []
+    }))
+    .filter(meaning => meaning.definitions.length > 0);
+  
+  if (meanings.length === 0) return null;
+  
+  return {
+    word: word,
+    phonetic: '',
+    phonetics: [],
+    meanings: meanings,
+    sourceUrls: [`${WIKTIONARY_PAGE_BASE}${encodeURIComponent(word)}`],
+    license: WIKTIONARY_LICENSE
+  };
+}
+
+/**
+ * Strips markup from an HTML fragment returned by a provider
+ * The service worker has no DOMParser, so tags are removed and common entities decoded by hand
+ * @param {string} html - The HTML fragment
+ * @returns {string} The plain text
+ */
+function stripHtml(html) {
+  return String(html || '')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,255 @@
+/**
+ * Flashcard review page for DictionaRead extension
+ * Shows the due words from srs.js one at a time: the headword and the sentence it was
+ * read in, then the saved definition, rendered by bubble-render.js like the bubble
+ */
+
+// DOM elements
+const reviewProgress = document.getElementById('reviewProgress');
+const reviewCard = document.getElementById('reviewCard');
+const reviewWord = document.getElementById('reviewWord');
+const reviewContext = document.getElementById('reviewContext');
+const reviewAnswer = document.getElementById('reviewAnswer');
+const reviewSource = document.getElementById('reviewSource');
+const reviewShow = document.getElementById('reviewShow');
+const reviewGrades = document.getElementById('reviewGrades');
+const reviewDone = document.getElementById('reviewDone');
+const reviewDoneText = document.getElementById('reviewDoneText');
+
+// Grade keys, in button order: 1 Again, 2 Hard, 3 Good, 4 Easy
+const GRADE_KEYS = Object.keys(REVIEW_GRADES);
+
+// Session state
+let reviewQueue = [];
+let relearnQueue = []; // Cards answered "Again", shown again once due
+let relearnTimer = null;
+let currentEntry = null;
+let displaySettings = DEFAULT_SETTINGS;
+let answerRoot = null;
+let isGrading = false;
+
+/**
+ * Initialize the review page
+ * Loads the due cards and shows the first one
+ */
+async function initializeReview() {
+  try {
+    const [settings, entries, state] = await Promise.all([getSettings(), getHistory(), getReviewState()]);
+    displaySettings = settings;
+    reviewQueue = getDueCards(entries, state, Date.now());
+    
+    // styles.css resets its host, so the answer gets a shadow root of its own
+    answerRoot = reviewAnswer.attachShadow({ mode: 'open' });
+    
+    reviewShow.addEventListener('click', showAnswer);
+    reviewGrades.addEventListener('click', handleGradeClick);
+    document.addEventListener('keydown', handleReviewKey);
+    
+    await showNextCard();
+  } catch (error) {
+    console.error('Error initializing review:', error);
+    reviewProgress.textContent = 'Could not load the cards.';
+  }
+}
+
+/**
+ * Shows the front of the next card, or the finished state when none are left
+ * Forgotten cards that are due again come before the rest of the queue
+ */
+async function showNextCard() {
+  clearTimeout(relearnTimer);
+  currentEntry = takeDueRelearnCard(Date.now()) || reviewQueue.shift() || null;
+  
+  if (!currentEntry) {
+    await showDone();
+    return;
+  }
+  
+  reviewCard.hidden = false;
+  reviewDone.hidden = true;
+  reviewProgress.textContent = `${reviewQueue.length + relearnQueue.length + 1} left`;
+  
+  reviewWord.textContent = currentEntry.word;
+  reviewContext.textContent = currentEntry.sentence ? `“${currentEntry.sentence}”` : '';
+  reviewContext.hidden = !currentEntry.sentence;
+  
+  reviewAnswer.hidden = true;
+  reviewSource.hidden = true;
+  reviewGrades.hidden = true;
+  reviewShow.hidden = false;
+  reviewShow.focus();
+}
+
+/**
+ * Takes the forgotten card that came due first out of the relearning queue
+ * @param {number} now - The current time in milliseconds
+ * @returns {Object|null} The entry with its card, or null if none is due yet
+ */
+function takeDueRelearnCard(now) {
+  const due = relearnQueue.filter(entry => entry.card.due <= now).sort((a, b) => a.card.due - b.card.due)[0];
+  if (!due) return null;
+  
+  relearnQueue = relearnQueue.filter(entry => entry !== due);
+  return due;
+}
+
+/**
+ * Shows the back of the current card: the saved definition and the answer buttons
+ */
+function showAnswer() {
+  if (!currentEntry || !reviewAnswer.hidden) return;
+  
+  const popup = createBubbleElement('div', { className: 'dictionaread-popup' }, [
+    createBubbleElement('div', { className: 'dictionaread-popup-content' }, [
+      createBubbleElement('div', { className: 'dictionaread-definition' },
+        createMeanings(currentEntry.definition, displaySettings.visibleSenses))
+    ])
+  ]);
+  popup.style.position = 'relative';
+  applyBubbleSettings(popup, displaySettings);
+  
+  const stylesheet = document.createElement('link');
+  stylesheet.rel = 'stylesheet';
+  stylesheet.href = 'styles.css';
+  answerRoot.replaceChildren(stylesheet, popup);
+  
+  reviewSource.replaceChildren();
+  if (currentEntry.url) {
+    reviewSource.append('From ', createExternalLink(currentEntry.url, currentEntry.title || currentEntry.url));
+  }
+  reviewSource.hidden = !currentEntry.url;
+  
+  // Each button shows when the card would come back
+  const now = Date.now();
+  reviewGrades.replaceChildren(...GRADE_KEYS.map((grade, index) => {
+    const next = scheduleCard(currentEntry.card, REVIEW_GRADES[grade].quality, now);
+    return createBubbleElement('button', {
+      attributes: { 'data-grade': grade, 'aria-keyshortcuts': String(index + 1) }
+    }, [
+      REVIEW_GRADES[grade].label,
+      createBubbleElement('span', { className: 'review-grade-interval', text: formatInterval(next.due - now) })
+    ]);
+  }));
+  
+  reviewAnswer.hidden = false;
+  reviewShow.hidden = true;
+  reviewGrades.hidden = false;
+  reviewGrades.querySelector('[data-grade="good"]').focus();
+}
+
+/**
+ * Handles clicks on the answer buttons
+ * @param {Event} event - The click event
+ */
+function handleGradeClick(event) {
+  const button = event.target.closest('[data-grade]');
+  if (button) {
+    gradeCurrentCard(button.dataset.grade);
+  }
+}
+
+/**
+ * Handles the review shortcuts: Space or Enter shows the answer, 1-4 answer
+ * @param {KeyboardEvent} event - The keydown event
+ */
+function handleReviewKey(event) {
+  if (!currentEntry || event.ctrlKey || event.metaKey || event.altKey) return;
+  
+  if (reviewAnswer.hidden) {
+    if (event.key === ' ' || event.key === 'Enter') {
+      event.preventDefault();
+      showAnswer();
+    }
+    return;
+  }
+  
+  const grade = GRADE_KEYS[Number(event.key) - 1];
+  if (grade) {
+    event.preventDefault();
+    gradeCurrentCard(grade);
+  }
+}
+
+/**
+ * Records the answer for the current card and moves on
+ * A forgotten card waits in the relearning queue until it is due again
+ * @param {string} grade - The answer: "again", "hard", "good" or "easy"
+ */
+async function gradeCurrentCard(grade) {
+  if (!currentEntry || isGrading) return;
+  isGrading = true;
+  
+  try {
+    const card = await recordReview(currentEntry, grade);
+    if (grade === 'again') {
+      relearnQueue.push({ ...currentEntry, card: card });
+    }
+    await showNextCard();
+  } catch (error) {
+    console.error('Error saving review:', error);
+    reviewProgress.textContent = 'Could not save the answer.';
+  } finally {
+    isGrading = false;
+  }
+}
+
+/**
+ * Shows the finished state with the time of the next review
+ * With forgotten cards still to relearn, the next one is shown once it is due
+ */
+async function showDone() {
+  reviewCard.hidden = true;
+  reviewDone.hidden = false;
+  reviewProgress.textContent = '';
+  
+  if (relearnQueue.length > 0) {
+    const nextRelearn = Math.min(...relearnQueue.map(entry => entry.card.due));
+    reviewDoneText.textContent = `Forgotten cards come back in ${formatInterval(nextRelearn - Date.now())}. Keep this page open to review them.`;
+    relearnTimer = setTimeout(showNextCard, Math.max(0, nextRelearn - Date.now()));
+    return;
+  }
+  
+  try {
+    const [entries, state] = await Promise.all([getHistory(), getReviewState()]);
+    const ids = new Set(entries.map(entry => entry.id));
+    const nextDue = Object.entries(state.cards)
+      .filter(([id]) => ids.has(id))
+      .map(([, card]) => card.due)
+      .sort((a, b) => a - b)[0];
+    
+    if (entries.length === 0) {
+      reviewDoneText.textContent = 'Look up some words while reading and they will show up here.';
+    } else if (nextDue) {
+      reviewDoneText.textContent = `No cards are due. The next one comes back in ${formatInterval(nextDue - Date.now())}.`;
+    } else {
+      reviewDoneText.textContent = 'No cards are due. New words come back tomorrow.';
+    }
+  } catch (error) {
+    console.error('Error loading next review:', error);
+    reviewDoneText.textContent = 'No cards are due.';
+  }
+}
+
+/**
+ * Formats a time span for the answer buttons, e.g. "10m", "6d", "3mo"
+ * @param {number} ms - The span in milliseconds
+ * @returns {string} The short span
+ */
+function formatInterval(ms) {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours}h`;
+  
+  const days = Math.round(hours / 24);
+  if (days < 30) return `${days}d`;
+  
+  const months = Math.round(days / 30);
+  if (months < 12) return `${months}mo`;
+  
+  return `${Math.round(days / 365)}y`;
+}
+
+// Initialize review when DOM is loaded
+document.addEventListener('DOMContentLoaded', initializeReview);
@@ -0,0 +1,228 @@
+/**
+ * Selection context helpers for DictionaRead extension
+ * Finds looked-up text, including selections in text fields and open shadow roots, and
+ * the sentence, paragraph and language around it. Loaded as a content script and
+ * injected by the service worker into every frame, so it only declares functions
+ */
+
+/**
+ * Describes the current selection of the frame
+ * The service worker runs this in every frame and uses the frame where text is selected
+ * Where the content script runs, the text is remembered for the bubble to point at, so the
+ * result still finds it after the selection is gone
+ * @returns {Object} The selected text, the sentence and paragraph containing it and its
+ *   language, whether the frame has focus, whether it is a PDF viewer and, with the content
+ *   script, the ID of the remembered text
+ */
+function getSelectionContext() {
+  const frame = { hasFocus: document.hasFocus(), isPdf: document.contentType === 'application/pdf' };
+  const remember = () => (typeof rememberSelectionAnchor === 'function' ? { anchorId: rememberSelectionAnchor() } : {});
+  
+  // Text selected in a field is not part of the page selection
+  const field = getFocusedTextField();
+  const fieldText = field ? field.value.slice(field.selectionStart, field.selectionEnd).trim() : '';
+  if (fieldText) {
+    return { ...getFieldContext(field, fieldText), ...frame, ...remember() };
+  }
+  
+  const range = getSelectionRange();
+  const text = range ? range.toString().trim() : '';
+  
+  if (!text) {
+    return { text: text, sentence: '', paragraph: '', lang: document.documentElement.lang || '', ...frame };
+  }
+  
+  return { ...getRangeContext(range, text), ...frame, ...remember() };
+}
+
+/**
+ * Finds the focused text field, looking inside open shadow roots
+ * @returns {HTMLInputElement|HTMLTextAreaElement|null} The field, or null when focus is elsewhere
+ */
+function getFocusedTextField() {
+  let element = document.activeElement;
+  while (element?.shadowRoot?.activeElement) {
+    element = element.shadowRoot.activeElement;
+  }
+  
+  // Only these input types expose a selection; password fields are never read
+  if (element instanceof HTMLTextAreaElement) return element;
+  if (element instanceof HTMLInputElement && ['text', 'search', 'url', 'tel'].includes(element.type)) return element;
+  return null;
+}
+
+/**
+ * Gets the selected range of the frame, including a selection inside an open shadow root,
+ * which the page selection only reports at the shadow host
+ * Where the content script runs, text selected in the bubble's closed shadow root counts too
+ * @returns {Range|null} The range, or null when nothing is selected
+ */
+function getSelectionRange() {
+  const selection = window.getSelection();
+  if (selection.rangeCount === 0) return null;
+  
+  const shadowRoots = getSelectionShadowRoots(selection.getRangeAt(0));
+  if (typeof getBubbleShadowRoots === 'function') {
+    shadowRoots.push(...getBubbleShadowRoots());
+  }
+  if (shadowRoots.length === 0) return selection.getRangeAt(0);
+  
+  if (selection.getComposedRanges) {
+    const [composed] = selection.getComposedRanges({ shadowRoots: shadowRoots });
+    if (composed && !composed.collapsed) {
+      const range = document.createRange();
+      range.setStart(composed.startContainer, composed.startOffset);
+      range.setEnd(composed.endContainer, composed.endOffset);
+      return range;
+    }
+  }
+  
+  // Older versions of Chrome report the part of the selection in each shadow root separately
+  for (const root of shadowRoots) {
+    const rootSelection = root.getSelection?.();
+    if (rootSelection && rootSelection.rangeCount > 0 && !rootSelection.isCollapsed) {
+      return rootSelection.getRangeAt(0);
+    }
+  }
+  
+  return selection.getRangeAt(0);
+}
+
+/**
+ * Lists the open shadow roots a selection may reach into, looking only around its ends
+ * so a lookup never walks the whole page: the page selection stops at a shadow host,
+ * which is then an end itself or the node beside an end's offset. Their shadow roots come
+ * with the roots nested in them, and ends already inside a shadow tree add the roots
+ * holding them
+ * @param {Range} range - The page selection's range
+ * @returns {Array<ShadowRoot>} The shadow roots
+ */
+function getSelectionShadowRoots(range) {
+  const shadowRoots = new Set();
+  
+  [[range.startContainer, range.startOffset], [range.endContainer, range.endOffset]].forEach(([container, offset]) => {
+    [container, container.childNodes[offset], container.childNodes[offset - 1]].forEach(node => {
+      if (node?.shadowRoot && !shadowRoots.has(node.shadowRoot)) {
+        shadowRoots.add(node.shadowRoot);
+        getOpenShadowRoots(node.shadowRoot).forEach(root => shadowRoots.add(root));
+      }
+    });
+    
+    for (let root = container.getRootNode(); root instanceof ShadowRoot; root = root.host.getRootNode()) {
+      shadowRoots.add(root);
+    }
+  });
+  return [...shadowRoots];
+}
+
+/**
+ * Lists the open shadow roots under a node, nested ones included
+ * @param {Document|ShadowRoot} root - The node to search
+ * @returns {Array<ShadowRoot>} The shadow roots
+ */
+function getOpenShadowRoots(root) {
+  const shadowRoots = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+  
+  let element;
+  while ((element = walker.nextNode())) {
+    if (element.shadowRoot) {
+      shadowRoots.push(element.shadowRoot, ...getOpenShadowRoots(element.shadowRoot));
+    }
+  }
+  return shadowRoots;
+}
+
+/**
+ * Lists the open shadow roots stacked under a point, outermost first
+ * @param {number} x - The viewport x coordinate
+ * @param {number} y - The viewport y coordinate
+ * @returns {Array<ShadowRoot>} The shadow roots
+ */
+function getShadowRootsAtPoint(x, y) {
+  const shadowRoots = [];
+  let element = document.elementFromPoint(x, y);
+  
+  while (element?.shadowRoot && !shadowRoots.includes(element.shadowRoot)) {
+    shadowRoots.push(element.shadowRoot);
+    element = element.shadowRoot.elementFromPoint(x, y);
+  }
+  return shadowRoots;
+}
+
+/**
+ * Describes text selected in a text field, using the field's selection offsets
+ * @param {HTMLInputElement|HTMLTextAreaElement} field - The field
+ * @param {string} text - The trimmed selected text
+ * @returns {Object} The text, the sentence and paragraph containing it and its language
+ */
+function getFieldContext(field, text) {
+  const value = field.value;
+  const selected = value.slice(field.selectionStart, field.selectionEnd);
+  const offset = field.selectionStart + selected.length - selected.trimStart().length;
+  
+  const lang = field.closest('[lang]')?.getAttribute('lang') || document.documentElement.lang || '';
+  const start = value.slice(0, offset).replace(/\s+/g, ' ').length;
+  
+  return getTextContext(value.replace(/\s+/g, ' '), start, text, lang);
+}
+
+/**
+ * Describes the text of a range, such as a selection or the word under the pointer
+ * @param {Range} range - The range holding the text
+ * @param {string} text - The trimmed text of the range
+ * @returns {Object} The text, the sentence and paragraph containing it and its language
+ */
+function getRangeContext(range, text) {
+  const node = range.commonAncestorContainer;
+  const container = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  
+  // Text placed directly in a shadow root has no parent element: the root is its block,
+  // and the host carries the language
+  const root = node.getRootNode();
+  
+  // The nearest lang attribute describes the text best
+  const langElement = container?.closest('[lang]') || root.host?.closest('[lang]');
+  const lang = langElement?.getAttribute('lang') || document.documentElement.lang || '';
+  
+  // Find the closest block of text around the range
+  const block = container
+    ? container.closest('p, li, blockquote, dd, td, th, h1, h2, h3, h4, h5, h6, figcaption') || container
+    : root;
+  const blockText = (block.textContent || '').replace(/\s+/g, ' ');
+  
+  // Locate the range within the block text
+  const prefixRange = document.createRange();
+  prefixRange.selectNodeContents(block);
+  prefixRange.setEnd(range.startContainer, range.startOffset);
+  const start = prefixRange.toString().replace(/\s+/g, ' ').length;
+  
+  return getTextContext(blockText, start, text, lang);
+}
+
+/**
+ * Finds the sentence and paragraph around text within a block of text
+ * @param {string} blockText - The block's text, with whitespace collapsed
+ * @param {number} start - Where the text starts in the block
+ * @param {string} text - The looked-up text
+ * @param {string} lang - The language of the text
+ * @returns {Object} The text, the sentence and paragraph containing it and its language
+ */
+function getTextContext(blockText, start, text, lang) {
+  const end = start + text.length;
+  
+  // Expand to the nearest sentence boundaries
+  const before = blockText.slice(0, start);
+  const boundaryMatch = before.match(/.*[.!?]\s/);
+  const sentenceStart = boundaryMatch ? boundaryMatch[0].length : 0;
+  const afterMatch = blockText.slice(end).match(/[.!?](\s|$)/);
+  const sentenceEnd = afterMatch ? end + afterMatch.index + 1 : blockText.length;
+  
+  const sentence = blockText.slice(sentenceStart, sentenceEnd).trim().slice(0, 300);
+  
+  // Up to 1000 characters of the paragraph, centred on the text
+  const paragraphStart = Math.max(0, start - 500);
+  const paragraph = blockText.slice(paragraphStart, paragraphStart + 1000).trim();
+  
+  return { text, sentence, paragraph, lang };
+}
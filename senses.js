@@ -0,0 +1,145 @@
+/**
+ * Context-aware sense ranking for DictionaRead extension
+ * Moves the sense that best fits the sentence being read to the top of the
+ * entry, scoring word overlap between the context and each sense
+ */
+
+// Extra weight for a synonym of the sense appearing in the context
+const SYNONYM_WEIGHT = 2;
+
+// Defining vocabulary too common in glosses to tell senses apart
+const GLOSS_FILLER_WORDS = new Set([
+  'which', 'who', 'whom', 'what', 'when', 'where', 'such', 'very', 'some', 'something',
+  'someone', 'somebody', 'one', 'any', 'anything', 'other', 'used', 'using', 'especially',
+  'having', 'being', 'make', 'made', 'kind', 'way', 'act', 'have', 'can', 'will', 'would',
+  'may', 'might', 'also', 'more', 'most', 'all', 'each', 'there', 'then', 'usually'
+]);
+
+/**
+ * Reorders a definition result so its best-matching sense comes first
+ * Segmented phrase results are ranked part by part; the cached result is never modified
+ * @param {Object} definition - The definition result
+ * @param {string} context - The sentence and paragraph around the selection
+ * @returns {Object} The ranked definition result
+ */
+function rankDefinitionByContext(definition, context) {
+  if (!definition.success || !context) return definition;
+  
+  if (definition.segments) {
+    const segments = definition.segments.map(segment => ({
+      ...segment,
+      definition: rankDefinitionByContext(segment.definition, context)
+    }));
+    return {
+      ...definition,
+      segments: segments,
+      entries: segments.flatMap(segment => segment.definition.entries),
+      data: segments[0].definition.data
+    };
+  }
+  
+  const entries = definition.entries && definition.entries.length > 0 ? definition.entries : [definition.data];
+  const rankedEntries = rankEntriesByContext(entries, getContextWords(context, definition.word));
+  return { ...definition, entries: rankedEntries, data: rankedEntries[0] };
+}
+
+/**
+ * Finds the best-scoring sense across homographs and moves it, its part of speech
+ * and its entry to the front, flagged with contextMatch
+ * @param {Array<DefinitionEntry>} entries - The normalized entries
+ * @param {Set<string>} contextWords - The stemmed content words of the context
+ * @returns {Array<DefinitionEntry>} The reordered entries (the input when nothing matches)
+ */
+function rankEntriesByContext(entries, contextWords) {
+  let best = null;
+  
+  entries.forEach((entry, entryIndex) => {
+    (entry.meanings || []).forEach((meaning, meaningIndex) => {
+      (meaning.definitions || []).forEach((sense, senseIndex) => {
+        const score = scoreSense(sense, meaning, contextWords);
+        // Ties keep dictionary order, which lists the most common sense first
+        if (score > 0 && (!best || score > best.score)) {
+          best = { score, entryIndex, meaningIndex, senseIndex };
+        }
+      });
+    });
+  });
+  
+  if (!best) return entries;
+  
+  const entry = entries[best.entryIndex];
+  const meaning = entry.meanings[best.meaningIndex];
+  const sense = { ...meaning.definitions[best.senseIndex], contextMatch: true };
+  
+  const rankedMeaning = {
+    ...meaning,
+    definitions: [sense, ...meaning.definitions.filter((item, index) => index !== best.senseIndex)]
+  };
+  const rankedEntry = {
+    ...entry,
+    meanings: [rankedMeaning, ...entry.meanings.filter((item, index) => index !== best.meaningIndex)]
+  };
+  
+  return [rankedEntry, ...entries.filter((item, index) => index !== best.entryIndex)];
+}
+
+/**
+ * Scores a sense by how many of its words also appear in the context
+ * @param {Object} sense - The sense: definition, example, synonyms
+ * @param {Object} meaning - The part of speech the sense belongs to
+ * @param {Set<string>} contextWords - The stemmed content words of the context
+ * @returns {number} The score; 0 when nothing overlaps
+ */
+function scoreSense(sense, meaning, contextWords) {
+  let score = 0;
+  
+  getContentWords(`${sense.definition || ''} ${sense.example || ''}`).forEach(word => {
+    if (contextWords.has(word)) score++;
+  });
+  
+  const synonyms = [...(sense.synonyms || []), ...(meaning.synonyms || [])];
+  new Set(synonyms.map(stemWord)).forEach(word => {
+    if (contextWords.has(word)) score += SYNONYM_WEIGHT;
+  });
+  
+  return score;
+}
+
+/**
+ * Collects the content words of the context, leaving out the looked-up word itself
+ * @param {string} context - The sentence and paragraph around the selection
+ * @param {string} word - The looked-up word or phrase
+ * @returns {Set<string>} The stemmed content words
+ */
+function getContextWords(context, word) {
+  const contextWords = getContentWords(context);
+  getContentWords(word || '').forEach(item => contextWords.delete(item));
+  return contextWords;
+}
+
+/**
+ * Splits text into distinct stemmed words, without function words, filler and very short words
+ * @param {string} text - The text
+ * @returns {Set<string>} The stemmed content words
+ */
+function getContentWords(text) {
+  const words = text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+  return new Set(
+    words
+      .filter(word => word.length > 2 && !isFunctionWord(word) && !GLOSS_FILLER_WORDS.has(word))
+      .map(stemWord)
+  );
+}
+
+/**
+ * Crudely stems a word so "banks", "banked" and "banking" compare equal
+ * @param {string} word - The lowercased word
+ * @returns {string} The stem
+ */
+function stemWord(word) {
+  return word
+    .toLowerCase()
+    .replace(/'s$/, '')
+    .replace(/(ing|ed|es|s|ly)$/, '')
+    .replace(/e$/, '');
+}
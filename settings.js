@@ -0,0 +1,165 @@
+/**
+ * Settings schema for DictionaRead extension
+ * Every user setting with its type, default and allowed range, stored as flat keys in
+ * chrome.storage.local. Shared by the service worker, content script, popup and options page
+ */
+
+// Bump when a stored setting changes meaning, and add a migration below
+const SETTINGS_VERSION = 1;
+
+const SETTINGS_SCHEMA = {
+  extensionEnabled: { type: 'boolean', default: true },
+  
+  // Sites where DictionaRead runs (see site-rules.js)
+  siteRuleMode: { type: 'enum', values: ['blocklist', 'allowlist'], default: 'blocklist' },
+  siteRules: { type: 'list', maxItems: 500, default: [] }, // Hostname patterns, e.g. "*.bank.com"
+  
+  // Lookup triggers besides the keyboard shortcut
+  triggerDoubleClick: { type: 'boolean', default: false },
+  triggerHover: { type: 'boolean', default: false },
+  hoverModifier: { type: 'enum', values: ['Alt', 'Shift', 'Control', 'Meta'], default: 'Alt' },
+  triggerContextMenu: { type: 'boolean', default: true },
+  
+  // Underlining saved words where they appear again (see highlighter.js)
+  highlightWords: { type: 'boolean', default: false },
+  highlightExcludedSites: { type: 'list', maxItems: 500, default: [] }, // Hostname patterns, as in siteRules
+  
+  // Lookups
+  maxLookupLength: { type: 'integer', min: 10, max: 200, default: 50 }, // Characters sent to the dictionary (prevents API abuse)
+  apiTimeout: { type: 'integer', min: 1000, max: 30000, default: 5000 }, // Milliseconds per provider
+  lookupDisplay: { type: 'enum', values: ['bubble', 'panel', 'both'], default: 'bubble' }, // Where results show (see panel-stream.js)
+  
+  // Bubble
+  visibleSenses: { type: 'integer', min: 1, max: 10, default: 3 }, // Per part of speech, before "more senses"
+  theme: { type: 'theme', values: ['auto', 'light', 'dark'], default: 'auto' }, // Or a custom theme's ID (see theme.js)
+  customThemes: { type: 'themes', maxItems: 10, default: [] },
+  fontSize: { type: 'integer', min: 10, max: 24, default: 14 }, // Pixels
+  bubbleWidth: { type: 'integer', min: 250, max: 800, default: 400 }, // Maximum width in pixels
+  autoDismiss: { type: 'enum', values: ['off', 'scroll', 'delay'], default: 'off' },
+  autoDismissDelay: { type: 'integer', min: 2, max: 120, default: 10 }, // Seconds, for "delay"
+  reduceMotion: { type: 'boolean', default: false } // Also on when the system asks for reduced motion
+};
+
+const DEFAULT_SETTINGS = Object.fromEntries(
+  Object.entries(SETTINGS_SCHEMA).map(([key, schema]) => [key, schema.default])
+);
+
+// Custom theme IDs, e.g. "custom-lq2x9k"
+const CUSTOM_THEME_ID_PATTERN = /^custom-[a-z0-9]{1,24}$/;
+const MAX_CUSTOM_THEME_NAME_LENGTH = 40;
+
+// Migrations by the version they upgrade from; each takes and returns the stored values
+const SETTINGS_MIGRATIONS = {
+  // Before the schema, onInstalled switched the extension back on with every update;
+  // a stored value is now kept, and the rest is filled in from the defaults
+  0: settings => settings
+};
+
+/**
+ * Coerces a stored value to its schema type, falling back to the default when it does not fit
+ * @param {string} key - The setting key
+ * @param {*} value - The stored value
+ * @returns {*} The valid value
+ */
+function normalizeSetting(key, value) {
+  const schema = SETTINGS_SCHEMA[key];
+  if (!schema) return value;
+  
+  switch (schema.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? value : schema.default;
+    case 'enum':
+      return schema.values.includes(value) ? value : schema.default;
+    case 'list':
+      return Array.isArray(value)
+        ? [...new Set(value.map(item => String(item).trim()).filter(Boolean))].slice(0, schema.maxItems)
+        : [...schema.default];
+    case 'theme':
+      return schema.values.includes(value) || CUSTOM_THEME_ID_PATTERN.test(value) ? value : schema.default;
+    case 'themes':
+      return Array.isArray(value)
+        ? value
+            .map(normalizeCustomTheme)
+            .filter((theme, index, themes) => theme && themes.findIndex(other => other?.id === theme.id) === index)
+            .slice(0, schema.maxItems)
+        : [...schema.default];
+    case 'integer': {
+      const number = Number(value);
+      if (value === null || value === '' || !Number.isFinite(number)) return schema.default;
+      return Math.min(schema.max, Math.max(schema.min, Math.round(number)));
+    }
+    default:
+      return schema.default;
+  }
+}
+
+/**
+ * Validates a custom theme
+ * @param {Object} theme - The stored theme
+ * @returns {Object|null} The theme with its id, name, background and text (#rrggbb), or null if invalid
+ */
+function normalizeCustomTheme(theme) {
+  const isColor = value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+  if (!theme || !CUSTOM_THEME_ID_PATTERN.test(theme.id) || !isColor(theme.background) || !isColor(theme.text)) {
+    return null;
+  }
+  
+  return {
+    id: theme.id,
+    name: String(theme.name || '').trim().slice(0, MAX_CUSTOM_THEME_NAME_LENGTH) || 'Custom theme',
+    background: theme.background.toLowerCase(),
+    text: theme.text.toLowerCase()
+  };
+}
+
+/**
+ * Loads settings, with defaults for anything missing or invalid
+ * @param {Array<string>} keys - The setting keys to load (all by default)
+ * @returns {Promise<Object>} The settings by key
+ */
+async function getSettings(keys = Object.keys(SETTINGS_SCHEMA)) {
+  const stored = await chrome.storage.local.get(keys);
+  return Object.fromEntries(keys.map(key => [key, normalizeSetting(key, stored[key])]));
+}
+
+/**
+ * Validates and saves settings
+ * @param {Object} changes - The settings to save by key
+ * @returns {Promise<Object>} The values actually saved, after clamping
+ */
+async function saveSettings(changes) {
+  const settings = Object.fromEntries(
+    Object.entries(changes)
+      .filter(([key]) => SETTINGS_SCHEMA[key])
+      .map(([key, value]) => [key, normalizeSetting(key, value)])
+  );
+  await chrome.storage.local.set(settings);
+  return settings;
+}
+
+/**
+ * Upgrades stored settings to the current schema version and fills in defaults
+ * Runs from runtime.onInstalled, so it must be safe to repeat
+ * @returns {Promise<Object>} The migrated settings
+ */
+async function migrateSettings() {
+  const stored = await chrome.storage.local.get(['settingsVersion', ...Object.keys(SETTINGS_SCHEMA)]);
+  let version = Number(stored.settingsVersion) || 0;
+  let settings = { ...stored };
+  delete settings.settingsVersion;
+  
+  while (version < SETTINGS_VERSION) {
+    const migrate = SETTINGS_MIGRATIONS[version];
+    if (migrate) {
+      settings = migrate(settings);
+    }
+    version++;
+    console.log(`Settings migrated to version ${version}`);
+  }
+  
+  const migrated = Object.fromEntries(
+    Object.keys(SETTINGS_SCHEMA).map(key => [key, normalizeSetting(key, settings[key])])
+  );
+  await chrome.storage.local.set({ ...migrated, settingsVersion: SETTINGS_VERSION });
+  return migrated;
+}
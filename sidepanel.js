@@ -0,0 +1,479 @@
+/**
+ * Side panel for DictionaRead extension
+ * Shows a running stream of the lookups made on the window's active tab, kept by
+ * panel-stream.js. Each lookup expands to its full entry, rendered by bubble-render.js
+ * like the bubble, and can be pinned, starred in the vocabulary notebook or copied
+ */
+
+// DOM elements
+const lookupDisplay = document.getElementById('lookupDisplay');
+const panelClear = document.getElementById('panelClear');
+const panelStream = document.getElementById('panelStream');
+const panelEmpty = document.getElementById('panelEmpty');
+const panelStatus = document.getElementById('panelStatus');
+
+// Panel state
+let panelWindowId = null;
+let activeTabId = null;
+let displaySettings = DEFAULT_SETTINGS;
+let streamLookups = []; // The active tab's lookups, newest first
+let starredIds = new Set(); // Starred history entry IDs
+const expandedState = new Map(); // Lookup ID → expanded, for lookups the reader opened or closed
+const renderedItems = new Map(); // Lookup ID → its list item and the state it was built for
+
+/**
+ * Initialize the side panel
+ * Loads the settings, the starred words and the active tab's stream
+ */
+async function initializePanel() {
+  try {
+    const [settings, currentWindow] = await Promise.all([getSettings(), chrome.windows.getCurrent()]);
+    displaySettings = settings;
+    panelWindowId = currentWindow.id;
+    lookupDisplay.value = settings.lookupDisplay;
+    connectToServiceWorker();
+    
+    lookupDisplay.addEventListener('change', handleDisplayChange);
+    panelClear.addEventListener('click', handleClearClick);
+    panelStream.addEventListener('click', handleStreamClick);
+    
+    // Follow the active tab of the panel's window, and the stream as lookups arrive
+    chrome.tabs.onActivated.addListener(info => {
+      if (info.windowId === panelWindowId) {
+        showTab(info.tabId);
+      }
+    });
+    chrome.storage.onChanged.addListener(handleStorageChange);
+    
+    await loadStarred();
+    const [tab] = await chrome.tabs.query({ active: true, windowId: panelWindowId });
+    await showTab(tab ? tab.id : null);
+  } catch (error) {
+    console.error('Error initializing side panel:', error);
+    panelStatus.textContent = 'Could not load the lookups.';
+  }
+}
+
+/**
+ * Tells the service worker that the panel is open in its window, so results meant for the
+ * panel do not fall back to the bubble. The port closes when the panel does, and is opened
+ * again when the service worker restarts
+ */
+function connectToServiceWorker() {
+  const port = chrome.runtime.connect({ name: PANEL_PORT_NAME });
+  port.postMessage({ action: 'panelOpened', windowId: panelWindowId });
+  port.onDisconnect.addListener(connectToServiceWorker);
+}
+
+/**
+ * Switches the panel to a tab's stream
+ * @param {number|null} tabId - The tab ID, or null without an active tab
+ */
+async function showTab(tabId) {
+  activeTabId = tabId;
+  renderedItems.clear();
+  panelStream.replaceChildren();
+  
+  try {
+    const lookups = tabId === null ? [] : await getPanelStream(tabId);
+    
+    // The reader may have switched tabs again meanwhile
+    if (tabId !== activeTabId) return;
+    streamLookups = lookups;
+    renderStream();
+  } catch (error) {
+    console.error('Error loading side panel stream:', error);
+    panelStatus.textContent = 'Could not load the lookups.';
+  }
+}
+
+/**
+ * Loads which history entries are starred
+ */
+async function loadStarred() {
+  const entries = await getHistory();
+  starredIds = new Set(entries.filter(entry => entry.starred).map(entry => entry.id));
+}
+
+/**
+ * Follows the stream, the starred words and the settings as they change
+ * @param {Object} changes - The changed keys
+ * @param {string} areaName - The storage area
+ */
+function handleStorageChange(changes, areaName) {
+  if (areaName === 'session' && activeTabId !== null) {
+    const change = changes[getPanelStreamKey(activeTabId)];
+    if (change) {
+      streamLookups = Array.isArray(change.newValue) ? change.newValue : [];
+      renderStream();
+    }
+    return;
+  }
+  
+  if (areaName !== 'local') return;
+  
+  if (changes[HISTORY_STORAGE_KEY]) {
+    const entries = Array.isArray(changes[HISTORY_STORAGE_KEY].newValue) ? changes[HISTORY_STORAGE_KEY].newValue : [];
+    starredIds = new Set(entries.filter(entry => entry.starred).map(entry => entry.id));
+    renderStream();
+  }
+  
+  if (Object.keys(changes).some(key => SETTINGS_SCHEMA[key])) {
+    getSettings().then(settings => {
+      displaySettings = settings;
+      lookupDisplay.value = settings.lookupDisplay;
+      
+      // Theme and font size changes apply to every expanded entry
+      renderedItems.clear();
+      renderStream();
+    }).catch(error => console.error('Error loading settings:', error));
+  }
+}
+
+/**
+ * Shows the stream: pinned lookups first, then the rest, each newest first
+ * Items whose state did not change are kept, so expanded entries keep their scroll and state
+ */
+function renderStream() {
+  const lookups = [...streamLookups.filter(lookup => lookup.pinned), ...streamLookups.filter(lookup => !lookup.pinned)];
+  const newestId = streamLookups.length > 0 ? streamLookups[0].id : null;
+  
+  // Rebuilt items lose focus, so it goes back to the same control afterwards
+  const focused = document.activeElement;
+  const focusedItem = focused && focused.closest ? focused.closest('[data-lookup-id]') : null;
+  const focusedAction = focusedItem ? focused.dataset.action : null;
+  
+  const items = lookups.map(lookup => {
+    // The newest lookup opens by itself until the reader decides otherwise
+    const expanded = expandedState.has(lookup.id) ? expandedState.get(lookup.id) : lookup.id === newestId;
+    const starred = isLookupStarred(lookup);
+    const signature = [lookup.status, lookup.pinned, starred, expanded].join('|');
+    
+    const rendered = renderedItems.get(lookup.id);
+    if (rendered && rendered.signature === signature) return rendered.element;
+    
+    const element = createStreamItem(lookup, expanded, starred);
+    renderedItems.set(lookup.id, { element: element, signature: signature });
+    return element;
+  });
+  
+  // Forget items that left the stream
+  const ids = new Set(lookups.map(lookup => lookup.id));
+  [...renderedItems.keys()].filter(id => !ids.has(id)).forEach(id => renderedItems.delete(id));
+  
+  panelStream.replaceChildren(...items);
+  panelEmpty.textContent = getEmptyText();
+  panelEmpty.hidden = lookups.length > 0;
+  panelClear.disabled = !streamLookups.some(lookup => !lookup.pinned);
+  
+  if (focusedAction) {
+    const item = panelStream.querySelector(`[data-lookup-id="${CSS.escape(focusedItem.dataset.lookupId)}"]`);
+    const control = item && item.querySelector(`[data-action="${focusedAction}"]`);
+    if (control) control.focus();
+  }
+}
+
+/**
+ * Explains an empty stream
+ * @returns {string} The hint
+ */
+function getEmptyText() {
+  if (activeTabId === null) {
+    return 'Open a page to look up words.';
+  }
+  if (displaySettings.lookupDisplay === 'bubble') {
+    return 'Results show in the bubble. Choose "Side panel" or "Both" above to collect them here.';
+  }
+  return 'Select a word on the page and press the shortcut. Lookups on this tab collect here.';
+}
+
+/**
+ * Creates one lookup of the stream: a header that expands it, its actions and the full entry
+ * @param {Object} lookup - The lookup (see savePanelLookup in panel-stream.js)
+ * @param {boolean} expanded - Whether the full entry shows
+ * @param {boolean} starred - Whether its words are starred in the history
+ * @returns {HTMLElement} The list item
+ */
+function createStreamItem(lookup, expanded, starred) {
+  const definition = lookup.definition;
+  const isDone = lookup.status !== 'loading' && Boolean(definition);
+  const bodyId = `panel-lookup-body-${lookup.id}`;
+  
+  const toggle = createBubbleElement('button', {
+    className: 'panel-lookup-toggle',
+    attributes: { 'data-action': 'toggle', 'aria-expanded': expanded, 'aria-controls': bodyId }
+  }, [
+    createBubbleElement('span', { className: 'panel-lookup-word', text: lookup.text || (definition && definition.word) || 'Lookup' }),
+    createBubbleElement('span', { className: 'panel-lookup-summary', text: getLookupSummary(lookup) })
+  ]);
+  
+  const copy = createBubbleElement('button', { text: 'Copy', attributes: { 'data-action': 'copy' } });
+  copy.disabled = !isDone || !definition.success;
+  
+  const actions = createBubbleElement('div', { className: 'panel-lookup-actions' }, [
+    createBubbleElement('button', {
+      text: 'Pin',
+      attributes: { 'data-action': 'pin', 'aria-pressed': Boolean(lookup.pinned), title: 'Keep at the top of the stream' }
+    }),
+    // Only definitions are saved to My words
+    isDone && getLookupDefinitions(definition).length > 0
+      ? createBubbleElement('button', {
+        text: starred ? '★' : '☆',
+        attributes: { 'data-action': 'star', 'aria-pressed': starred, 'aria-label': 'Star', title: 'Star in My words' }
+      })
+      : null,
+    copy
+  ]);
+  
+  const body = createBubbleElement('div', { className: 'panel-lookup-body', attributes: { id: bodyId } });
+  body.hidden = !expanded;
+  if (expanded && isDone) {
+    renderLookupBody(body, lookup);
+  }
+  
+  return createBubbleElement('li', {
+    className: lookup.pinned ? 'panel-lookup panel-lookup-pinned' : 'panel-lookup',
+    attributes: { 'data-lookup-id': lookup.id }
+  }, [
+    createBubbleElement('div', { className: 'panel-lookup-header' }, [toggle, actions]),
+    body,
+    expanded && lookup.sentence
+      ? createBubbleElement('p', { className: 'panel-lookup-context', text: `“${lookup.sentence}”` })
+      : null
+  ]);
+}
+
+/**
+ * Renders a lookup's full entry: every homograph or phrase part with all its senses
+ * styles.css resets its host, so the entry gets a shadow root of its own
+ * @param {HTMLElement} body - The element to render into
+ * @param {Object} lookup - The finished lookup
+ */
+function renderLookupBody(body, lookup) {
+  const definition = lookup.definition;
+  const popup = createBubbleElement('div', { className: 'dictionaread-popup' }, [
+    createBubbleElement('div', { className: 'dictionaread-popup-content' }, createPanelContent(lookup))
+  ]);
+  popup.style.position = 'relative';
+  applyBubbleSettings(popup, displaySettings);
+  popup.style.setProperty('max-width', 'none');
+  if (definition.success && definition.mode !== 'translate') {
+    popup.lang = definition.language || 'en';
+  }
+  
+  const stylesheet = document.createElement('link');
+  stylesheet.rel = 'stylesheet';
+  stylesheet.href = 'styles.css';
+  
+  const root = body.attachShadow({ mode: 'open' });
+  root.replaceChildren(stylesheet, popup);
+  
+  // Related-word chips look the word up into this stream
+  root.addEventListener('click', event => {
+    const chip = event.target.closest('.dictionaread-chip');
+    if (chip && activeTabId !== null) {
+      chrome.runtime.sendMessage({
+        action: 'lookupInPanel',
+        tabId: activeTabId,
+        word: chip.dataset.word,
+        language: definition.language || 'en'
+      });
+    }
+  });
+}
+
+/**
+ * Creates the content of a finished lookup, with every sense shown
+ * @param {Object} lookup - The finished lookup
+ * @returns {Array<HTMLElement>} The content nodes
+ */
+function createPanelContent(lookup) {
+  const definition = lookup.definition;
+  
+  if (!definition.success) {
+    return [createErrorContent(lookup.text || '').querySelector('.dictionaread-error')];
+  }
+  if (definition.mode === 'translate') {
+    return [createTranslation(definition)];
+  }
+  
+  const entries = getDefinitionEntries(definition);
+  return [createBubbleElement('div', { className: 'dictionaread-definition' }, [
+    definition.truncated
+      ? createBubbleElement('p', { className: 'dictionaread-note', text: 'Only the start of your selection was looked up.' })
+      : null,
+    definition.inflection ? createInflection(definition.inflection) : null,
+    definition.missing && definition.missing.length > 0
+      ? createBubbleElement('p', { className: 'dictionaread-note', text: `No definition for: ${definition.missing.join(', ')}` })
+      : null,
+    // Homographs and phrase parts one after another instead of behind tabs
+    ...entries.map((entry, index) => {
+      const panel = createEntry(entry, index, Infinity);
+      panel.hidden = false;
+      panel.removeAttribute('role');
+      return panel;
+    }),
+    createAttribution(definition, entries)
+  ])];
+}
+
+/**
+ * Summarizes a lookup on one line for its header
+ * @param {Object} lookup - The lookup
+ * @returns {string} The first sense, the translation, the error or the loading state
+ */
+function getLookupSummary(lookup) {
+  const definition = lookup.definition;
+  
+  if (lookup.status === 'loading' || !definition) return 'Looking up...';
+  if (!definition.success) return definition.error || 'No definition found';
+  if (definition.mode === 'translate') return definition.translatedText || '';
+  
+  const entry = getDefinitionEntries(definition)[0];
+  const meaning = entry && entry.meanings && entry.meanings[0];
+  const sense = meaning && meaning.definitions && meaning.definitions[0];
+  return sense ? sense.definition : '';
+}
+
+/**
+ * Lists the per-word definition results a lookup saved to the history: one, or one per phrase part
+ * @param {Object} definition - The lookup's result
+ * @returns {Array<Object>} The successful definition results; none for translations and errors
+ */
+function getLookupDefinitions(definition) {
+  if (!definition || !definition.success || definition.mode === 'translate') return [];
+  return definition.segments ? definition.segments.map(segment => segment.definition) : [definition];
+}
+
+/**
+ * Checks whether every word of a lookup is starred in the history
+ * @param {Object} lookup - The lookup
+ * @returns {boolean} True if the lookup shows as starred
+ */
+function isLookupStarred(lookup) {
+  const definitions = getLookupDefinitions(lookup.definition);
+  return definitions.length > 0 &&
+    definitions.every(definition => starredIds.has(normalizeHeadword(definition.data.word || definition.word)));
+}
+
+/**
+ * Handles the expand, pin, star and copy buttons of the stream
+ * @param {Event} event - The click event
+ */
+async function handleStreamClick(event) {
+  const button = event.target.closest('[data-action]');
+  const item = button && button.closest('[data-lookup-id]');
+  const lookup = item && streamLookups.find(candidate => candidate.id === item.dataset.lookupId);
+  if (!lookup) return;
+  
+  try {
+    switch (button.dataset.action) {
+      case 'toggle':
+        expandedState.set(lookup.id, button.getAttribute('aria-expanded') !== 'true');
+        renderStream();
+        break;
+      case 'pin': {
+        const response = await chrome.runtime.sendMessage({
+          action: 'pinPanelLookup',
+          tabId: activeTabId,
+          id: lookup.id,
+          pinned: !lookup.pinned
+        });
+        if (!response?.success) throw new Error(response?.error || 'No response');
+        break;
+      }
+      case 'star':
+        await setLookupStarred(lookup, !isLookupStarred(lookup));
+        break;
+      case 'copy':
+        await copyLookup(lookup, button);
+        break;
+    }
+    panelStatus.textContent = '';
+  } catch (error) {
+    console.error('Error updating side panel lookup:', error);
+    panelStatus.textContent = 'Could not update the lookup.';
+  }
+}
+
+/**
+ * Stars or unstars the words of a lookup in the history
+ * Words no longer in the history, e.g. after it was cleared, are saved again to be starred
+ * @param {Object} lookup - The lookup
+ * @param {boolean} starred - The new starred state
+ */
+async function setLookupStarred(lookup, starred) {
+  const entries = await getHistory();
+  
+  // One word at a time: each write reads the history the previous one saved
+  for (const definition of getLookupDefinitions(lookup.definition)) {
+    const word = definition.data.word || definition.word;
+    if (starred && !entries.some(entry => entry.id === normalizeHeadword(word))) {
+      await saveLookup({
+        word: word,
+        definition: definition.data,
+        language: definition.language,
+        url: lookup.url,
+        title: lookup.title,
+        sentence: lookup.sentence
+      });
+    }
+    await setHistoryEntryStarred(normalizeHeadword(word), starred);
+  }
+}
+
+/**
+ * Copies a lookup as plain text: every entry, or the translation
+ * @param {Object} lookup - The finished lookup
+ * @param {HTMLElement} button - The copy button, which confirms the copy for a moment
+ */
+async function copyLookup(lookup, button) {
+  const definition = lookup.definition;
+  const text = definition.mode === 'translate'
+    ? definition.translatedText
+    : getDefinitionEntries(definition).map(formatEntryText).join('\n\n');
+  
+  try {
+    await navigator.clipboard.writeText(text || '');
+    button.textContent = 'Copied';
+  } catch (error) {
+    console.error('Error copying lookup:', error);
+    button.textContent = 'Copy failed';
+  }
+  setTimeout(() => {
+    button.textContent = 'Copy';
+  }, 1500);
+}
+
+/**
+ * Saves where lookup results show
+ */
+async function handleDisplayChange() {
+  try {
+    const saved = await saveSettings({ lookupDisplay: lookupDisplay.value });
+    displaySettings = { ...displaySettings, ...saved };
+    renderStream();
+  } catch (error) {
+    console.error('Error saving lookup display:', error);
+    panelStatus.textContent = 'Could not save the setting.';
+  }
+}
+
+/**
+ * Removes the active tab's unpinned lookups
+ */
+async function handleClearClick() {
+  if (activeTabId === null) return;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'clearPanelStream', tabId: activeTabId });
+    if (!response?.success) throw new Error(response?.error || 'No response');
+    panelStatus.textContent = '';
+  } catch (error) {
+    console.error('Error clearing side panel stream:', error);
+    panelStatus.textContent = 'Could not clear the lookups.';
+  }
+}
+
+// Initialize the side panel when DOM is loaded
+document.addEventListener('DOMContentLoaded', initializePanel);
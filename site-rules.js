@@ -0,0 +1,92 @@
+/**
+ * Per-site rules for DictionaRead extension
+ * Matches hostnames against the user's wildcard patterns in allowlist or blocklist
+ * mode. Shared by the service worker, content script, popup and options page
+ */
+
+/**
+ * Cleans up a pattern typed by the user, keeping only the host part
+ * "https://Mail.Example.com/inbox" → "mail.example.com"
+ * @param {string} input - The typed pattern
+ * @returns {string} The hostname pattern, or an empty string
+ */
+function normalizeSitePattern(input) {
+  return String(input || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z*]+:\/\//, '') // Scheme
+    .replace(/[/?#].*$/, '') // Path, query and fragment
+    .replace(/:(\d+|\*)$/, ''); // Port
+}
+
+/**
+ * Checks a hostname against a pattern
+ * A plain domain covers its subdomains ("example.com" matches "www.example.com"), and
+ * so does "*.example.com", as in extension match patterns; any other "*" matches a
+ * run of characters ("*bank*", "admin.*.example.com")
+ * @param {string} hostname - The hostname, e.g. "www.example.com"
+ * @param {string} pattern - The normalized pattern
+ * @returns {boolean} True if the pattern matches
+ */
+function matchesSitePattern(hostname, pattern) {
+  if (!hostname || !pattern) return false;
+  
+  const domain = pattern.replace(/^\*\./, '');
+  if (!domain.includes('*')) {
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  }
+  
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(hostname);
+}
+
+/**
+ * Lists the rules that match a hostname
+ * @param {string} hostname - The hostname
+ * @param {Array<string>} patterns - The site rules
+ * @returns {Array<string>} The matching patterns
+ */
+function getMatchingSiteRules(hostname, patterns) {
+  return patterns.filter(pattern => matchesSitePattern(hostname, pattern));
+}
+
+/**
+ * Decides whether DictionaRead may run on a page
+ * In blocklist mode every site is on unless a rule matches; in allowlist mode only
+ * matching sites are on. Pages without a hostname (local files) follow the mode's default
+ * @param {string} url - The page URL
+ * @param {Object} settings - The settings; siteRuleMode and siteRules are used
+ * @returns {boolean} True if lookups are allowed on the page
+ */
+function isSiteEnabled(url, settings) {
+  let hostname = '';
+  try {
+    hostname = new URL(url).hostname;
+  } catch (error) {
+    hostname = '';
+  }
+  
+  const isMatched = getMatchingSiteRules(hostname, settings.siteRules).length > 0;
+  return settings.siteRuleMode === 'allowlist' ? isMatched : !isMatched;
+}
+
+/**
+ * Converts site rules to extension match patterns, so content scripts are not even
+ * loaded where the rules keep DictionaRead off
+ * @param {Array<string>} patterns - The site rules
+ * @returns {Array<string>|null} The match patterns, or null when a rule uses a wildcard
+ *   match patterns cannot express (the content script then checks the rules itself)
+ */
+function getSiteMatchPatterns(patterns) {
+  const matchPatterns = [];
+  
+  for (const pattern of patterns) {
+    const domain = pattern.replace(/^\*\./, '');
+    if (!/^[a-z0-9.-]+$/.test(domain)) return null;
+    
+    // "*.example.com" covers example.com itself as well
+    matchPatterns.push(`*://*.${domain}/*`);
+  }
+  
+  return matchPatterns;
+}
@@ -0,0 +1,161 @@
+/**
+ * Spaced-repetition scheduling for DictionaRead extension
+ * Turns saved lookups into flashcards scheduled with the SM-2 algorithm. Cards are the
+ * history entries themselves; only their review state is kept, in chrome.storage.local
+ * Shared by the service worker (badge), the popup and the review page
+ */
+
+const REVIEW_STORAGE_KEY = 'reviewState';
+const NEW_CARDS_PER_DAY = 20; // New words introduced per day, so a long history is not due at once
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELEARN_DELAY_MS = 10 * 60 * 1000; // A forgotten card comes back after 10 minutes
+
+// SM-2 ease factor bounds
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// Answer buttons and the SM-2 quality (0-5) each one stands for
+const REVIEW_GRADES = {
+  again: { label: 'Again', quality: 1 },
+  hard: { label: 'Hard', quality: 3 },
+  good: { label: 'Good', quality: 4 },
+  easy: { label: 'Easy', quality: 5 }
+};
+
+/**
+ * Loads the review state: per-card scheduling and today's new-card count
+ * @returns {Promise<Object>} The review state
+ */
+async function getReviewState() {
+  const result = await chrome.storage.local.get([REVIEW_STORAGE_KEY]);
+  const state = result[REVIEW_STORAGE_KEY] || {};
+  return {
+    cards: state.cards || {},
+    newCardsDate: state.newCardsDate || '',
+    newCardsSeen: state.newCardsSeen || 0
+  };
+}
+
+/**
+ * Persists the review state
+ * @param {Object} state - The review state
+ * @returns {Promise<void>}
+ */
+async function saveReviewState(state) {
+  await chrome.storage.local.set({ [REVIEW_STORAGE_KEY]: state });
+}
+
+/**
+ * Gets today's date as a key for the new-card limit
+ * @param {number} now - The current time in milliseconds
+ * @returns {string} The local date, e.g. "2026-10-19"
+ */
+function getReviewDay(now) {
+  const date = new Date(now);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Computes the next schedule of a card with SM-2
+ * @param {Object|undefined} card - The card's schedule, or undefined for a new card
+ * @param {number} quality - The SM-2 answer quality, 0-5
+ * @param {number} now - The current time in milliseconds
+ * @returns {Object} The new schedule: ease, interval (days), repetitions, lapses, due, reviewedAt
+ */
+function scheduleCard(card, quality, now) {
+  const previous = card || { ease: DEFAULT_EASE, interval: 0, repetitions: 0, lapses: 0 };
+  const ease = Math.max(MIN_EASE, previous.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  
+  // Below 3 the card was forgotten: start over and show it again soon
+  if (quality < 3) {
+    return {
+      ease: ease,
+      interval: 0,
+      repetitions: 0,
+      lapses: previous.lapses + (previous.repetitions > 0 ? 1 : 0),
+      due: now + RELEARN_DELAY_MS,
+      reviewedAt: now
+    };
+  }
+  
+  let interval;
+  if (previous.repetitions === 0) {
+    interval = 1;
+  } else if (previous.repetitions === 1) {
+    interval = 6;
+  } else {
+    interval = Math.round(previous.interval * previous.ease);
+  }
+  
+  return {
+    ease: ease,
+    interval: interval,
+    repetitions: previous.repetitions + 1,
+    lapses: previous.lapses,
+    due: now + interval * DAY_MS,
+    reviewedAt: now
+  };
+}
+
+/**
+ * Picks the cards to review now: scheduled cards that are due, oldest first, then new
+ * words up to the daily limit, oldest lookups first
+ * @param {Array<Object>} entries - The history entries
+ * @param {Object} state - The review state
+ * @param {number} now - The current time in milliseconds
+ * @returns {Array<Object>} The due history entries, each with its schedule as "card"
+ */
+function getDueCards(entries, state, now) {
+  const usable = entries.filter(entry => entry.definition && entry.definition.meanings);
+  
+  const due = usable
+    .filter(entry => state.cards[entry.id] && state.cards[entry.id].due <= now)
+    .map(entry => ({ ...entry, card: state.cards[entry.id] }))
+    .sort((a, b) => a.card.due - b.card.due);
+  
+  const newCardsSeen = state.newCardsDate === getReviewDay(now) ? state.newCardsSeen : 0;
+  const fresh = usable
+    .filter(entry => !state.cards[entry.id])
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(0, Math.max(0, NEW_CARDS_PER_DAY - newCardsSeen))
+    .map(entry => ({ ...entry, card: null }));
+  
+  return [...due, ...fresh];
+}
+
+/**
+ * Counts the cards due now, for the toolbar badge and the popup
+ * @returns {Promise<number>} The number of due cards
+ */
+async function getDueCount() {
+  const [entries, state] = await Promise.all([getHistory(), getReviewState()]);
+  return getDueCards(entries, state, Date.now()).length;
+}
+
+/**
+ * Records an answer and reschedules the card
+ * Schedules of words no longer in the history are dropped at the same time
+ * @param {Object} entry - The reviewed history entry
+ * @param {string} grade - The answer: "again", "hard", "good" or "easy"
+ * @returns {Promise<Object>} The card's new schedule
+ */
+async function recordReview(entry, grade) {
+  const now = Date.now();
+  const [entries, state] = await Promise.all([getHistory(), getReviewState()]);
+  const isNew = !state.cards[entry.id];
+  const card = scheduleCard(state.cards[entry.id], REVIEW_GRADES[grade].quality, now);
+  
+  const ids = new Set(entries.map(item => item.id));
+  const cards = Object.fromEntries(Object.entries(state.cards).filter(([id]) => ids.has(id)));
+  cards[entry.id] = card;
+  
+  const today = getReviewDay(now);
+  const newCardsSeen = state.newCardsDate === today ? state.newCardsSeen : 0;
+  
+  await saveReviewState({
+    cards: cards,
+    newCardsDate: today,
+    newCardsSeen: newCardsSeen + (isNew ? 1 : 0)
+  });
+  return card;
+}
@@ -0,0 +1,104 @@
+/**
+ * Stub dictionary server for DictionaRead security testing
+ * Answers every lookup with hostile markup so security-test-page.html can
+ * check that the bubble shows it as inert text
+ *
+ * Usage: node stub-dictionary-server.js [port]
+ * Custom endpoint: http://localhost:8787/define/{word}
+ * Translation (LibreTranslate backend): http://localhost:8787
+ */
+
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 8787;
+
+// Each payload reports itself to the test page if it ever runs as markup or script
+const report = name => `window.reportPayload && window.reportPayload('${name}')`;
+const PAYLOADS = {
+  img: `<img src="x" onerror="${report('img')}">`,
+  script: `<script>${report('script')}</script>`,
+  svg: `<svg onload="${report('svg')}"></svg>`,
+  link: `<a href="javascript:${report('link')}">click me</a>`,
+  style: '<style>body { display: none !important; }</style>',
+  iframe: `<iframe srcdoc="<script>parent.${report('iframe')}</script>"></iframe>`
+};
+const JAVASCRIPT_URL = `javascript:${report('url')}`;
+
+/**
+ * Builds a dictionaryapi.dev-shaped entry with a payload in every text field
+ * @param {string} word - The requested word, e.g. "payload-img"
+ * @returns {Object} The hostile entry
+ */
+function buildHostileEntry(word) {
+  const name = word.replace(/^payload-/, '');
+  const payload = PAYLOADS[name] || Object.values(PAYLOADS).join(' ');
+  
+  return {
+    word: `${word} ${payload}`,
+    phonetic: `/${payload}/`,
+    phonetics: [
+      { text: `/${payload}/`, audio: JAVASCRIPT_URL },
+      { text: '/uk/', audio: `https://example.com/${encodeURIComponent(payload)}-uk.mp3` }
+    ],
+    meanings: [
+      {
+        partOfSpeech: `noun ${payload}`,
+        definitions: [
+          {
+            definition: `Definition ${payload}`,
+            example: `Example ${payload}`,
+            synonyms: [`synonym ${payload}`],
+            antonyms: [`antonym ${payload}`]
+          },
+          { definition: `Second sense ${payload}` },
+          { definition: `Third sense ${payload}` },
+          { definition: `Hidden sense ${payload}` }
+        ],
+        synonyms: [payload],
+        antonyms: []
+      }
+    ],
+    sourceUrls: [JAVASCRIPT_URL, `https://example.com/?q=${encodeURIComponent(payload)}`],
+    license: { name: `License ${payload}`, url: JAVASCRIPT_URL }
+  };
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} response - The response
+ * @param {number} status - The HTTP status
+ * @param {*} body - The body to serialize
+ */
+function sendJson(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*'
+  });
+  response.end(JSON.stringify(body));
+}
+
+const server = http.createServer((request, response) => {
+  const url = new URL(request.url, `http://localhost:${PORT}`);
+  console.log(request.method, url.pathname);
+  
+  if (request.method === 'GET' && url.pathname.startsWith('/define/')) {
+    const word = decodeURIComponent(url.pathname.slice('/define/'.length));
+    sendJson(response, 200, [buildHostileEntry(word)]);
+    return;
+  }
+  
+  if (request.method === 'POST' && url.pathname === '/translate') {
+    sendJson(response, 200, {
+      translatedText: `Translation ${Object.values(PAYLOADS).join(' ')}`,
+      detectedLanguage: { language: 'en', confidence: 100 }
+    });
+    return;
+  }
+  
+  sendJson(response, 404, { title: 'No Definitions Found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`Stub dictionary server on http://localhost:${PORT}`);
+  console.log(`Custom endpoint URL: http://localhost:${PORT}/define/{word}`);
+});
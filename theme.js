@@ -0,0 +1,265 @@
+/**
+ * Bubble theming for DictionaRead extension
+ * Works out the color actually behind the looked-up text and picks bubble colors that
+ * meet the WCAG contrast ratio against their own background: for the "auto" theme, the
+ * palette that stands out most from the page; otherwise the light or dark palette or a
+ * custom theme, whose text is darkened or lightened where it falls short
+ * Shared by the content script, the side panel, the review page and the options page
+ */
+
+// WCAG 2 contrast ratios for body text: AA, and AAA when the system asks for more contrast
+const WCAG_AA_CONTRAST = 4.5;
+const WCAG_AAA_CONTRAST = 7;
+
+// Secondary text (part of speech, examples, sources) starts this close to the text color
+const MUTED_TEXT_WEIGHT = 0.7;
+
+// Built-in palettes; links and focus rings use the accent
+const THEME_PALETTES = {
+  light: { background: '#ffffff', text: '#2c3e50', accent: '#0066cc' },
+  dark: { background: '#2c3e50', text: '#ffffff', accent: '#66b3ff' }
+};
+
+// What browsers paint behind pages that set no background, by color scheme
+const CANVAS_COLORS = { light: '#ffffff', dark: '#121212' };
+
+// Canvas context that converts CSS colors the regular expressions do not cover
+let colorParserContext = null;
+
+/**
+ * Parses any CSS color: hex and rgb()/rgba() directly, and every other syntax the browser
+ * knows (named colors, hsl(), hwb(), lab(), oklch(), color(), color-mix()) by drawing it
+ * @param {string} value - The CSS color, e.g. a computed background-color
+ * @returns {Object|null} The sRGB channels r, g, b (0-255) and alpha a (0-1), or null if invalid
+ */
+function parseCssColor(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return null;
+  if (text === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  
+  const hex = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    const digits = hex[1].length <= 4 ? hex[1].replace(/./g, '$&$&') : hex[1];
+    const channels = digits.match(/../g).map(pair => parseInt(pair, 16));
+    return { r: channels[0], g: channels[1], b: channels[2], a: channels.length > 3 ? channels[3] / 255 : 1 };
+  }
+  
+  // Legacy commas or modern spaces, with an optional alpha after a comma or slash
+  const rgb = text.match(/^rgba?\(\s*([\d.]+%?)[\s,]+([\d.]+%?)[\s,]+([\d.]+%?)\s*(?:[,/]\s*([\d.]+%?)\s*)?\)$/);
+  if (rgb) {
+    const channel = part => Math.round(Math.min(255, Math.max(0, part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part))));
+    const alpha = rgb[4] === undefined ? 1 : parseFloat(rgb[4]) / (rgb[4].endsWith('%') ? 100 : 1);
+    return { r: channel(rgb[1]), g: channel(rgb[2]), b: channel(rgb[3]), a: Math.min(1, Math.max(0, alpha)) };
+  }
+  
+  return parseColorWithCanvas(text);
+}
+
+/**
+ * Converts a CSS color by painting it on a 1×1 canvas and reading the pixel back
+ * @param {string} text - The CSS color
+ * @returns {Object|null} The color as in parseCssColor, or null if the browser rejects it
+ */
+function parseColorWithCanvas(text) {
+  if (typeof document === 'undefined') return null;
+  
+  if (!colorParserContext) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+    colorParserContext = canvas.getContext('2d', { willReadFrequently: true });
+  }
+  const context = colorParserContext;
+  
+  // An invalid color leaves fillStyle as it was, so it would keep both starting values
+  context.fillStyle = '#000000';
+  context.fillStyle = text;
+  const fromBlack = context.fillStyle;
+  context.fillStyle = '#ffffff';
+  context.fillStyle = text;
+  if (context.fillStyle !== fromBlack) return null;
+  
+  context.clearRect(0, 0, 1, 1);
+  context.fillRect(0, 0, 1, 1);
+  const [r, g, b, a] = context.getImageData(0, 0, 1, 1).data;
+  return { r: r, g: g, b: b, a: a / 255 };
+}
+
+/**
+ * Formats an opaque color as hex
+ * @param {Object} color - The color
+ * @returns {string} The color, e.g. "#2c3e50"
+ */
+function formatColor(color) {
+  return `#${[color.r, color.g, color.b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Mixes two colors
+ * @param {Object} color - The first color
+ * @param {Object} other - The second color
+ * @param {number} weight - The share of the first color, 0-1
+ * @returns {Object} The opaque mix
+ */
+function mixColors(color, other, weight) {
+  return {
+    r: color.r * weight + other.r * (1 - weight),
+    g: color.g * weight + other.g * (1 - weight),
+    b: color.b * weight + other.b * (1 - weight),
+    a: 1
+  };
+}
+
+/**
+ * Computes the WCAG relative luminance of a color
+ * @param {Object} color - The color
+ * @returns {number} The luminance, 0 (black) to 1 (white)
+ */
+function getRelativeLuminance(color) {
+  const [r, g, b] = [color.r, color.g, color.b].map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Computes the WCAG contrast ratio of two opaque colors
+ * @param {Object} color - The first color
+ * @param {Object} other - The second color
+ * @returns {number} The ratio, 1 (none) to 21 (black on white)
+ */
+function getContrastRatio(color, other) {
+  const [lighter, darker] = [getRelativeLuminance(color), getRelativeLuminance(other)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Moves a color toward black or white, whichever contrasts more with the background,
+ * until it reaches the target ratio
+ * @param {Object} color - The color, e.g. a theme's text color
+ * @param {Object} background - The opaque background
+ * @param {number} target - The contrast ratio to reach
+ * @returns {Object} The color, unchanged if it already contrasts enough
+ */
+function ensureContrast(color, background, target) {
+  if (getContrastRatio(color, background) >= target) return color;
+  
+  const black = { r: 0, g: 0, b: 0, a: 1 };
+  const white = { r: 255, g: 255, b: 255, a: 1 };
+  const extreme = getContrastRatio(black, background) > getContrastRatio(white, background) ? black : white;
+  
+  for (let weight = 0.1; weight < 1; weight += 0.1) {
+    const adjusted = mixColors(extreme, color, weight);
+    if (getContrastRatio(adjusted, background) >= target) return adjusted;
+  }
+  return extreme;
+}
+
+/**
+ * Checks whether the system asks for more contrast
+ * @returns {boolean} True if prefers-contrast is "more"
+ */
+function prefersMoreContrast() {
+  return typeof window !== 'undefined' && Boolean(window.matchMedia) && window.matchMedia('(prefers-contrast: more)').matches;
+}
+
+/**
+ * Gets the color the browser paints behind a page without a background
+ * Pages that declare a dark color-scheme get a dark canvas; those supporting both
+ * follow prefers-color-scheme
+ * @returns {Object} The canvas color
+ */
+function getCanvasColor() {
+  const scheme = getComputedStyle(document.documentElement).colorScheme || 'normal';
+  const supportsDark = /\bdark\b/.test(scheme);
+  const supportsLight = /\blight\b/.test(scheme);
+  const prefersDark = Boolean(window.matchMedia) && window.matchMedia('(prefers-color-scheme: dark)').matches;
+  
+  return parseCssColor(supportsDark && (!supportsLight || prefersDark) ? CANVAS_COLORS.dark : CANVAS_COLORS.light);
+}
+
+/**
+ * Finds the color actually painted behind a node: walks up from it, through shadow root
+ * hosts, to the first opaque background, and blends any translucent layers on the way
+ * over it. Background images are not seen
+ * @param {Node|null} node - The looked-up text, its container or the text field holding it
+ * @returns {Object} The opaque background color
+ */
+function getEffectiveBackground(node) {
+  const layers = [];
+  let element = node && node.nodeType === Node.ELEMENT_NODE ? node : node && (node.parentElement || node.parentNode?.host);
+  
+  while (element) {
+    const color = parseCssColor(getComputedStyle(element).backgroundColor);
+    if (color && color.a > 0) {
+      layers.push(color);
+      if (color.a >= 1) break;
+    }
+    element = element.parentElement || element.getRootNode().host || null;
+  }
+  
+  // Without an opaque layer, the canvas shows through
+  let background = layers.length > 0 && layers[layers.length - 1].a >= 1 ? layers.pop() : getCanvasColor();
+  while (layers.length > 0) {
+    const layer = layers.pop();
+    background = mixColors(layer, background, layer.a);
+  }
+  return background;
+}
+
+/**
+ * Picks the bubble colors for the theme setting
+ * "auto" picks the palette that contrasts most with the background behind the text;
+ * "light" and "dark" name the bubble itself, and a custom theme's ID its colors. A custom
+ * theme that no longer exists falls back to "auto"
+ * @param {string} theme - "auto", "light", "dark" or a custom theme's ID
+ * @param {Array<Object>} customThemes - The custom themes (see normalizeCustomTheme in settings.js)
+ * @param {Node|null} anchorNode - What the bubble points at, or null for the page body
+ * @returns {Object} The theme info: isDark (the bubble's own background is dark) and colors
+ */
+function getThemeInfo(theme, customThemes = [], anchorNode = null) {
+  const target = prefersMoreContrast() ? WCAG_AAA_CONTRAST : WCAG_AA_CONTRAST;
+  
+  const custom = customThemes.find(item => item.id === theme);
+  if (custom) {
+    return createThemeInfo(custom, target);
+  }
+  if (THEME_PALETTES[theme]) {
+    return createThemeInfo(THEME_PALETTES[theme], target);
+  }
+  
+  const pageBackground = getEffectiveBackground(anchorNode || document.body);
+  const palette = Object.values(THEME_PALETTES)
+    .map(candidate => ({ palette: candidate, contrast: getContrastRatio(parseCssColor(candidate.background), pageBackground) }))
+    .sort((a, b) => b.contrast - a.contrast)[0].palette;
+  return createThemeInfo(palette, target);
+}
+
+/**
+ * Derives the bubble colors from a palette, bringing text, secondary text and links up
+ * to the target contrast against the bubble's background
+ * @param {Object} palette - The background and text colors, and optionally the accent
+ * @param {number} target - The contrast ratio to reach
+ * @returns {Object} The theme info: isDark and colors (background, text, muted, accent, border, shadow)
+ */
+function createThemeInfo(palette, target) {
+  const background = parseCssColor(palette.background);
+  const text = ensureContrast(parseCssColor(palette.text), background, target);
+  
+  // White text reads better than black on this background, so the bubble counts as dark
+  const isDark = getContrastRatio({ r: 255, g: 255, b: 255 }, background) > getContrastRatio({ r: 0, g: 0, b: 0 }, background);
+  const accent = parseCssColor(palette.accent || (isDark ? THEME_PALETTES.dark.accent : THEME_PALETTES.light.accent));
+  
+  return {
+    isDark: isDark,
+    colors: {
+      background: formatColor(background),
+      text: formatColor(text),
+      muted: formatColor(ensureContrast(mixColors(text, background, MUTED_TEXT_WEIGHT), background, target)),
+      accent: formatColor(ensureContrast(accent, background, target)),
+      border: formatColor(mixColors(text, background, 0.15)),
+      shadow: isDark ? 'rgba(0, 0, 0, 0.3)' : 'rgba(0, 0, 0, 0.15)'
+    }
+  };
+}
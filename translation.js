@@ -0,0 +1,123 @@
+/**
+ * Translation backends for DictionaRead extension
+ * Translates selections through a pluggable backend, such as a self-hosted
+ * LibreTranslate server or a local stand-in with the same API
+ * Requests go through fetchJsonWithTimeout from providers.js
+ */
+
+// Backend used when the user has not picked one
+const DEFAULT_TRANSLATION_BACKEND = 'libretranslate';
+const DEFAULT_TRANSLATION_URL = 'http://localhost:5000';
+
+// Longest selection sent for translation; definitions keep their own, shorter limit
+const MAX_TRANSLATION_LENGTH = 500;
+
+// Built-in translation backends, keyed by the ID stored in settings
+const TRANSLATION_BACKENDS = {
+  libretranslate: {
+    name: 'LibreTranslate',
+    urlHint: 'http://localhost:5000',
+    translate: translateWithLibreTranslate
+  },
+  custom: {
+    name: 'Custom endpoint',
+    urlHint: 'https://example.com/translate?q={text}&source={source}&target={target}',
+    translate: translateWithCustomEndpoint
+  }
+};
+
+/**
+ * Translates text with the configured backend
+ * @param {string} text - The text to translate
+ * @param {Object} options - Translation options
+ * @param {string} options.backend - The backend ID
+ * @param {string} options.url - The backend's base URL or URL template
+ * @param {string} options.apiKey - The backend's API key, if it needs one
+ * @param {string} options.source - The source language code, or "auto"
+ * @param {string} options.target - The target language code
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @returns {Promise<Object>} The translation result or error object
+ */
+async function translateText(text, options) {
+  const backend = TRANSLATION_BACKENDS[options.backend] || TRANSLATION_BACKENDS[DEFAULT_TRANSLATION_BACKEND];
+  
+  try {
+    const translation = await backend.translate(text, options);
+    
+    if (!translation.translatedText) {
+      return { success: false, error: 'No translation found', text: text };
+    }
+    
+    return {
+      success: true,
+      text: text,
+      translatedText: translation.translatedText,
+      source: translation.detectedLanguage || options.source,
+      target: options.target,
+      backend: backend.name
+    };
+  } catch (error) {
+    console.error('Error translating text:', error);
+    
+    return {
+      success: false,
+      error: error.message === 'API timeout' ? 'Request timed out' : 'Failed to translate',
+      text: text
+    };
+  }
+}
+
+/**
+ * Translates through a LibreTranslate-compatible server (POST /translate)
+ * @param {string} text - The text to translate
+ * @param {Object} options - Translation options
+ * @returns {Promise<{translatedText: string, detectedLanguage: string}>} The translation
+ */
+async function translateWithLibreTranslate(text, options) {
+  const baseUrl = (options.url || DEFAULT_TRANSLATION_URL).replace(/\/+$/, '');
+  const body = {
+    q: text,
+    source: options.source || 'auto',
+    target: options.target,
+    format: 'text'
+  };
+  if (options.apiKey) {
+    body.api_key = options.apiKey;
+  }
+  
+  const result = await fetchJsonWithTimeout(`${baseUrl}/translate`, options.timeout, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  
+  return {
+    translatedText: String(result.translatedText || ''),
+    detectedLanguage: String(result.detectedLanguage?.language || '')
+  };
+}
+
+/**
+ * Translates through a GET endpoint whose URL template contains {text}, {source} and {target}
+ * The endpoint must answer with JSON containing "translatedText"
+ * @param {string} text - The text to translate
+ * @param {Object} options - Translation options
+ * @returns {Promise<{translatedText: string, detectedLanguage: string}>} The translation
+ */
+async function translateWithCustomEndpoint(text, options) {
+  if (!options.url || !options.url.includes('{text}')) {
+    throw new Error('Custom translation endpoint not configured');
+  }
+  
+  const url = options.url
+    .replace('{text}', encodeURIComponent(text))
+    .replace('{source}', encodeURIComponent(options.source || 'auto'))
+    .replace('{target}', encodeURIComponent(options.target));
+  
+  const result = await fetchJsonWithTimeout(url, options.timeout);
+  
+  return {
+    translatedText: String(result.translatedText || ''),
+    detectedLanguage: String(result.detectedLanguage?.language || result.detectedLanguage || '')
+  };
+}
@@ -0,0 +1,402 @@
+/**
+ * Vocabulary export and import for DictionaRead extension
+ * Turns saved lookups into Anki, CSV, JSON and Markdown files, and reads JSON and CSV
+ * files back into history entries. Shared by the popup and the options page
+ */
+
+const VOCABULARY_FILE_FORMAT = 'dictionaread-vocabulary';
+const VOCABULARY_FILE_VERSION = 1;
+
+// Columns of the CSV export, also read back on import
+const CSV_COLUMNS = ['word', 'language', 'definition', 'sentence', 'title', 'url', 'starred', 'lookupCount', 'timestamp'];
+
+// Export formats by key
+const VOCABULARY_FORMATS = {
+  anki: { extension: 'tsv', mimeType: 'text/tab-separated-values', format: formatAnki },
+  csv: { extension: 'csv', mimeType: 'text/csv', format: formatCsv },
+  json: { extension: 'json', mimeType: 'application/json', format: formatJson },
+  markdown: { extension: 'md', mimeType: 'text/markdown', format: formatMarkdown }
+};
+
+/**
+ * Builds an export file from history entries
+ * @param {Array<Object>} entries - The history entries
+ * @param {string} formatKey - A key of VOCABULARY_FORMATS
+ * @returns {Object} The file: name, mimeType and text
+ */
+function exportVocabulary(entries, formatKey) {
+  const format = VOCABULARY_FORMATS[formatKey];
+  const date = new Date().toISOString().slice(0, 10);
+  
+  return {
+    name: `dictionaread-vocabulary-${date}.${format.extension}`,
+    mimeType: format.mimeType,
+    text: format.format(entries)
+  };
+}
+
+/**
+ * Lists the senses of a saved definition as "part of speech: sense" lines
+ * @param {Object} definition - The normalized definition entry
+ * @returns {Array<Object>} The senses, each with partOfSpeech and text
+ */
+function getDefinitionSenses(definition) {
+  const senses = [];
+  (definition?.meanings || []).forEach(meaning => {
+    (meaning.definitions || []).forEach(def => {
+      if (def.definition) {
+        senses.push({ partOfSpeech: meaning.partOfSpeech || '', text: def.definition });
+      }
+    });
+  });
+  return senses;
+}
+
+/**
+ * Formats entries as an Anki import file: word on the front, numbered senses per part
+ * of speech and the sentence it was read in on the back
+ * The header lines tell Anki the separator and that fields contain HTML
+ * @param {Array<Object>} entries - The history entries
+ * @returns {string} The TSV text
+ */
+function formatAnki(entries) {
+  const lines = entries.map(entry => {
+    const back = (entry.definition?.meanings || []).map(meaning => {
+      const senses = (meaning.definitions || [])
+        .filter(def => def.definition)
+        .map((def, index) => `${index + 1}. ${escapeHtml(def.definition)}`);
+      return [meaning.partOfSpeech ? `<b>${escapeHtml(meaning.partOfSpeech)}</b>` : '', ...senses]
+        .filter(Boolean)
+        .join('<br>');
+    });
+    if (entry.sentence) {
+      back.push(`<i>${escapeHtml(entry.sentence)}</i>`);
+    }
+    
+    return [escapeHtml(entry.word), back.join('<br><br>')].map(toTsvField).join('\t');
+  });
+  
+  return ['#separator:tab', '#html:true', '#columns:Front\tBack', ...lines].join('\n') + '\n';
+}
+
+/**
+ * Formats entries as CSV with one "part of speech: sense" line per sense
+ * @param {Array<Object>} entries - The history entries
+ * @returns {string} The CSV text
+ */
+function formatCsv(entries) {
+  const rows = entries.map(entry => [
+    entry.word,
+    entry.language,
+    getDefinitionSenses(entry.definition)
+      .map(sense => sense.partOfSpeech ? `${sense.partOfSpeech}: ${sense.text}` : sense.text)
+      .join('\n'),
+    entry.sentence,
+    entry.title,
+    entry.url,
+    entry.starred ? 'true' : 'false',
+    entry.lookupCount,
+    new Date(entry.timestamp).toISOString()
+  ]);
+  
+  return [CSV_COLUMNS, ...rows].map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Formats entries as JSON, keeping the full definitions so the file can be imported
+ * without losing anything
+ * @param {Array<Object>} entries - The history entries
+ * @returns {string} The JSON text
+ */
+function formatJson(entries) {
+  return JSON.stringify({
+    format: VOCABULARY_FILE_FORMAT,
+    version: VOCABULARY_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries: entries
+  }, null, 2) + '\n';
+}
+
+/**
+ * Formats entries as a Markdown glossary with a section per source page
+ * @param {Array<Object>} entries - The history entries
+ * @returns {string} The Markdown text
+ */
+function formatMarkdown(entries) {
+  const pages = new Map();
+  entries.forEach(entry => {
+    const key = entry.url || '';
+    if (!pages.has(key)) pages.set(key, []);
+    pages.get(key).push(entry);
+  });
+  
+  const sections = [...pages.entries()].map(([url, pageEntries]) => {
+    const title = escapeMarkdown(pageEntries[0].title || url || 'Other words');
+    const heading = url ? `## [${title}](<${url.replace(/[<>]/g, encodeURIComponent)}>)` : `## ${title}`;
+    
+    const items = pageEntries
+      .slice()
+      .sort((a, b) => a.word.localeCompare(b.word))
+      .map(entry => {
+        const senses = getDefinitionSenses(entry.definition)
+          .map(sense => `  - ${sense.partOfSpeech ? `*${escapeMarkdown(sense.partOfSpeech)}* ` : ''}${escapeMarkdown(sense.text)}`);
+        const sentence = entry.sentence ? [`  > ${escapeMarkdown(entry.sentence)}`] : [];
+        return [`- **${escapeMarkdown(entry.word)}**`, ...senses, ...sentence].join('\n');
+      });
+    
+    return [heading, '', ...items].join('\n');
+  });
+  
+  return ['# Vocabulary', '', sections.join('\n\n')].join('\n') + '\n';
+}
+
+/**
+ * Reads history entries from an exported JSON or CSV file
+ * @param {string} text - The file contents
+ * @param {string} fileName - The file name, used to tell the formats apart
+ * @returns {Array<Object>} The entries, in history entry shape
+ * @throws {Error} If the file is not a vocabulary export or has no words
+ */
+function parseVocabulary(text, fileName) {
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+  const rawEntries = isJson ? parseVocabularyJson(text) : parseVocabularyCsv(text);
+  const entries = rawEntries.map(normalizeImportedEntry).filter(Boolean);
+  
+  if (entries.length === 0) {
+    throw new Error('No words found in the file');
+  }
+  return entries;
+}
+
+/**
+ * Reads the entries of a JSON export, or a bare array of entries
+ * @param {string} text - The JSON text
+ * @returns {Array<Object>} The raw entries
+ */
+function parseVocabularyJson(text) {
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) return data;
+  if (data && data.format === VOCABULARY_FILE_FORMAT && Array.isArray(data.entries)) return data.entries;
+  throw new Error('Not a DictionaRead vocabulary file');
+}
+
+/**
+ * Reads the entries of a CSV export, rebuilding definitions from the sense lines
+ * @param {string} text - The CSV text
+ * @returns {Array<Object>} The raw entries
+ */
+function parseVocabularyCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  const columns = (header || []).map(name => name.trim());
+  if (!columns.includes('word')) {
+    throw new Error('The CSV file needs a "word" column');
+  }
+  
+  return rows.map(row => {
+    const record = Object.fromEntries(columns.map((name, index) => [name, row[index] ?? '']));
+    return {
+      ...record,
+      definition: createDefinitionFromLines(record.word, record.definition),
+      starred: record.starred === 'true',
+      lookupCount: Number(record.lookupCount),
+      timestamp: Date.parse(record.timestamp)
+    };
+  });
+}
+
+/**
+ * Rebuilds a normalized definition entry from "part of speech: sense" lines
+ * @param {string} word - The headword
+ * @param {string} text - The lines
+ * @returns {Object} The definition entry (see DefinitionEntry in providers.js)
+ */
+function createDefinitionFromLines(word, text) {
+  const meanings = [];
+  
+  String(text || '').split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+    const match = line.match(/^([a-z][a-z ]{0,30}): (.+)$/);
+    const partOfSpeech = match ? match[1] : '';
+    const definition = match ? match[2] : line;
+    
+    let meaning = meanings[meanings.length - 1];
+    if (!meaning || meaning.partOfSpeech !== partOfSpeech) {
+      meaning = { partOfSpeech: partOfSpeech, definitions: [], synonyms: [], antonyms: [] };
+      meanings.push(meaning);
+    }
+    meaning.definitions.push({ definition: definition });
+  });
+  
+  return { word: word, phonetic: '', phonetics: [], meanings: meanings };
+}
+
+/**
+ * Tells whether an imported URL may be used as a link
+ * @param {*} value - The URL from the file
+ * @returns {boolean} True for http(s) URLs
+ */
+function isWebUrl(value) {
+  return typeof value === 'string' && /^https?:\/\//i.test(value);
+}
+
+/**
+ * Rebuilds an imported definition in the DefinitionEntry shape (see providers.js)
+ * Text fields must be strings and senses need a definition; everything else, including
+ * recordings and licenses, is dropped. Source links are kept only if they are http(s)
+ * @param {*} raw - The definition from the file
+ * @param {string} word - The entry's headword, used when the definition has none
+ * @returns {Object} The definition entry, without meanings if none were usable
+ */
+function normalizeImportedDefinition(raw, word) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.meanings)) {
+    return createDefinitionFromLines(word, '');
+  }
+  
+  const text = value => (typeof value === 'string' ? value : '');
+  const texts = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string' && item) : []);
+  
+  const meanings = raw.meanings
+    .filter(meaning => meaning && typeof meaning === 'object' && Array.isArray(meaning.definitions))
+    .map(meaning => ({
+      partOfSpeech: text(meaning.partOfSpeech),
+      definitions: meaning.definitions
+        .filter(sense => sense && typeof sense.definition === 'string' && sense.definition.trim())
+        .map(sense => ({
+          definition: sense.definition,
+          example: text(sense.example),
+          synonyms: texts(sense.synonyms),
+          antonyms: texts(sense.antonyms)
+        })),
+      synonyms: texts(meaning.synonyms),
+      antonyms: texts(meaning.antonyms)
+    }))
+    .filter(meaning => meaning.definitions.length > 0);
+  
+  return {
+    word: text(raw.word) || word,
+    phonetic: text(raw.phonetic),
+    phonetics: [],
+    meanings: meanings,
+    sourceUrls: texts(raw.sourceUrls).filter(isWebUrl)
+  };
+}
+
+/**
+ * Validates an imported entry and puts it in history entry shape
+ * Only known fields are kept, with the types the rest of the extension expects; page URLs
+ * other than http(s) are dropped
+ * @param {Object} raw - The entry from the file
+ * @returns {Object|null} The history entry, or null without a usable headword
+ */
+function normalizeImportedEntry(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  
+  const word = typeof raw.word === 'string' ? raw.word.trim() : '';
+  const id = normalizeHeadword(word);
+  if (!id) return null;
+  
+  const text = value => (typeof value === 'string' ? value : '');
+  
+  return {
+    id: id,
+    word: word,
+    definition: normalizeImportedDefinition(raw.definition, word),
+    language: text(raw.language) || 'en',
+    url: isWebUrl(raw.url) ? raw.url : '',
+    title: text(raw.title),
+    sentence: text(raw.sentence),
+    timestamp: Number.isFinite(raw.timestamp) ? raw.timestamp : Date.now(),
+    starred: raw.starred === true,
+    lookupCount: Number.isInteger(raw.lookupCount) && raw.lookupCount > 0 ? raw.lookupCount : 1
+  };
+}
+
+/**
+ * Splits CSV text into rows of fields, following RFC 4180 quoting
+ * @param {string} text - The CSV text
+ * @returns {Array<Array<string>>} The rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  // Skip blank lines
+  return rows.filter(fields => fields.some(value => value !== ''));
+}
+
+/**
+ * Quotes a CSV field when it contains a separator, quote or line break
+ * @param {*} value - The field value
+ * @returns {string} The CSV field
+ */
+function toCsvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Keeps a TSV field on one line and out of the way of the separator
+ * @param {string} value - The field value
+ * @returns {string} The TSV field
+ */
+function toTsvField(value) {
+  return String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+}
+
+/**
+ * Escapes text for an HTML field
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escapes characters Markdown would treat as formatting, and keeps text on one line
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeMarkdown(text) {
+  return String(text ?? '')
+    .replace(/\s+/g, ' ')
+    .replace(/([\\`*_[\]<>#|])/g, '\\$1');
+}